@@ -0,0 +1,159 @@
+/**
+ * Image quality policy for Andrew Malone Portfolio
+ *
+ * Loaded without defer in the <head> of every page, ahead of scripts/main.js.
+ * Lazy images aren't fetched until the browser has checked where they are on
+ * the page, so trimming their srcset as the parser inserts them means the
+ * larger candidates are never requested. LazyLoadingEnhancer in main.js offers
+ * the full set back.
+ */
+
+// ========================================
+// IMAGE QUALITY POLICY
+// ========================================
+
+/**
+ * Decides how much image data to spend. Save-Data and slow connections get
+ * srcset candidates sized for 1x (or at most 1.5x on 3G), unless the visitor
+ * has asked for high resolution.
+ */
+class ImageQualityPolicy {
+  constructor() {
+    this.storageKey = 'portfolio_image_quality';
+    this.observer = null;
+  }
+
+  getConnection() {
+    return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+  }
+
+  prefersHighResolution() {
+    try {
+      return localStorage.getItem(this.storageKey) === 'high';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  setHighResolution() {
+    try {
+      localStorage.setItem(this.storageKey, 'high');
+    } catch (e) {
+      console.warn('Could not save image quality preference:', e);
+    }
+  }
+
+  /**
+   * Highest pixel density worth downloading
+   * @returns {number|null} Density cap, or null when images need no limit
+   */
+  getMaxDensity() {
+    const connection = this.getConnection();
+    if (!connection || this.prefersHighResolution()) return null;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    if (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)) return 1;
+    if (connection.effectiveType === '3g' && pixelRatio > 1.5) return 1.5;
+    return null;
+  }
+
+  /**
+   * Trim lazy images while the page is parsed, then stop
+   */
+  watch() {
+    if (!this.getMaxDensity() || !window.MutationObserver) return;
+
+    this.observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.matches('img[loading="lazy"]')) this.limit(node);
+        node.querySelectorAll('img[loading="lazy"]').forEach(img => this.limit(img));
+      }));
+    });
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+
+    document.addEventListener('DOMContentLoaded', () => {
+      this.observer.disconnect();
+      this.observer = null;
+    }, { once: true });
+  }
+
+  /**
+   * Drop srcset candidates larger than the connection warrants. The full
+   * srcset is kept in data-full-srcset.
+   * @param {HTMLImageElement} img - Image with a width-descriptor srcset
+   * @returns {boolean} Whether the srcset was trimmed
+   */
+  limit(img) {
+    const maxDensity = this.getMaxDensity();
+    const srcset = img.getAttribute('srcset');
+    if (!maxDensity || !srcset || img.dataset.fullSrcset) return false;
+
+    const candidates = srcset.split(/,\s+/)
+      .map(candidate => {
+        const [url, descriptor = ''] = candidate.trim().split(/\s+/);
+        return { url, width: parseInt(descriptor, 10) };
+      })
+      .filter(candidate => candidate.width > 0)
+      .sort((a, b) => a.width - b.width);
+    if (candidates.length < 2) return false;
+
+    const targetWidth = this.getSlotWidth(img) * maxDensity;
+    const chosen = candidates.find(candidate => candidate.width >= targetWidth) || candidates[candidates.length - 1];
+    const allowed = candidates.filter(candidate => candidate.width <= chosen.width);
+    if (allowed.length === candidates.length) return false;
+
+    img.dataset.fullSrcset = srcset;
+    img.setAttribute('srcset', allowed.map(candidate => `${candidate.url} ${candidate.width}w`).join(', '));
+    return true;
+  }
+
+  /**
+   * Width the image will be shown at, read from its sizes attribute since
+   * layout isn't available while parsing
+   * @param {HTMLImageElement} img - Image
+   * @returns {number} Slot width in CSS pixels
+   */
+  getSlotWidth(img) {
+    const sizes = (img.getAttribute('sizes') || '').split(/,(?![^(]*\))/);
+
+    for (const size of sizes) {
+      const match = size.trim().match(/^(\(.+\))\s+(.+)$/);
+      if (match && !window.matchMedia(match[1]).matches) continue;
+
+      const width = this.parseLength(match ? match[2] : size.trim());
+      if (width) return width;
+    }
+
+    return window.innerWidth;
+  }
+
+  /**
+   * Resolve a sizes length: px, vw, or calc() adding and subtracting them
+   * @param {string} value - Length
+   * @returns {number|null} Pixels, or null if it can't be resolved
+   */
+  parseLength(value) {
+    const calc = value.match(/^calc\((.+)\)$/);
+    const terms = (calc ? calc[1] : value).split(/\s+([+-])\s+/);
+    let total = 0;
+    let sign = 1;
+
+    for (const term of terms) {
+      if (term === '+' || term === '-') {
+        sign = term === '+' ? 1 : -1;
+        continue;
+      }
+
+      const length = term.match(/^(\d*\.?\d+)(px|vw)$/);
+      if (!length) return null;
+      total += sign * (length[2] === 'vw' ? parseFloat(length[1]) * window.innerWidth / 100 : parseFloat(length[1]));
+    }
+
+    return total > 0 ? total : null;
+  }
+}
+
+const imageQualityPolicy = new ImageQualityPolicy();
+imageQualityPolicy.watch();
@@ -45,723 +45,3916 @@ function announceToScreenReader(message, priority = 'polite') {
   }, 1000);
 }
 
-// ========================================
-// LAZY LOADING ENHANCEMENT
-// ========================================
+/**
+ * Format a duration for display and screen reader announcements
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human readable duration, e.g. "4 minutes 32 seconds"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const parts = [];
 
-class LazyLoadingEnhancer {
-  constructor() {
-    this.init();
-  }
+  if (minutes) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  if (seconds || !minutes) parts.push(`${seconds} second${seconds === 1 ? '' : 's'}`);
 
-  init() {
-    this.setupLazyLoading();
-  }
+  return parts.join(' ');
+}
 
-  setupLazyLoading() {
-    // Add smooth loading transition for lazy-loaded images
-    const lazyImages = document.querySelectorAll('img[loading="lazy"]');
-    
-    lazyImages.forEach(img => {
-      // Add loaded class when image finishes loading
-      img.addEventListener('load', () => {
-        img.classList.add('loaded');
-      });
+/**
+ * Read the protection group declared by a project card or case-study page
+ * @param {HTMLElement} element - Element carrying a data-protection attribute
+ * @returns {string} Group name, or 'public' when none is declared
+ */
+function getProtectionGroup(element) {
+  return (element && element.dataset.protection) || 'public';
+}
 
-      // Handle error case
-      img.addEventListener('error', () => {
-        img.classList.add('loaded');
-        console.warn('Failed to load image:', img.src);
-      });
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
 
-      // If image is already loaded (cached), add loaded class immediately
-      if (img.complete) {
-        img.classList.add('loaded');
-      }
-    });
-  }
+/**
+ * Decode a base64url string (as used in URLs) into bytes
+ * @param {string} base64Url - Base64url encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(base64Url) {
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
 }
 
-// ========================================
-// INTERSECTION OBSERVER FOR ANIMATIONS
-// ========================================
+/**
+ * Encode bytes as a base64 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 encoded string
+ */
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
 
-class AnimationController {
-  constructor() {
-    this.observer = null;
-    this.init();
+/**
+ * Decrypt a payload made by tools/lib/protection.js encryptContent()
+ * @param {{iv: string, data: string}} payload - Encrypted payload
+ * @param {string} contentKey - Base64 AES-256-GCM key from the auth session
+ * @returns {Promise<string>} Decrypted text; rejects if the key is wrong
+ */
+async function decryptPayload(payload, contentKey) {
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(contentKey), 'AES-GCM', false, ['decrypt']);
+  const decrypted = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+    key,
+    base64ToBytes(payload.data)
+  );
+
+  return new TextDecoder().decode(decrypted);
+}
+
+/**
+ * Compare two byte arrays without exiting early on the first difference
+ * @param {Uint8Array} a - First byte array
+ * @param {Uint8Array} b - Second byte array
+ * @returns {boolean} Whether both arrays hold the same bytes
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
   }
+  return difference === 0;
+}
 
-  init() {
-    // Check if IntersectionObserver is supported
-    if (!('IntersectionObserver' in window)) {
-      // Fallback: show all animations immediately
-      this.showAllAnimations();
-      return;
-    }
+/**
+ * List headings in document order with their levels
+ * @param {Document|HTMLElement} root - Container to search
+ * @param {string} [selector] - Headings to include
+ * @returns {Array<{element: HTMLElement, level: number}>} Headings with levels 1-6
+ */
+function getHeadingOutline(root = document, selector = 'h1, h2, h3, h4, h5, h6') {
+  return Array.from(root.querySelectorAll(selector)).map(element => ({
+    element,
+    level: parseInt(element.tagName.charAt(1), 10)
+  }));
+}
 
-    // Create intersection observer
-    this.observer = new IntersectionObserver(
-      (entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('visible');
-            // Unobserve after animation to improve performance
-            this.observer.unobserve(entry.target);
-          }
-        });
-      },
-      {
-        threshold: 0.1,
-        rootMargin: '0px 0px -50px 0px'
-      }
-    );
+/**
+ * Estimate how long a case study takes to read: 200 words a minute plus
+ * 10 seconds per image, since the design artifacts carry much of the story.
+ * Mirrored in tools/build-reading-times.js.
+ * @param {number} wordCount - Words of body text
+ * @param {number} imageCount - Images in the content
+ * @returns {number} Whole minutes, at least 1
+ */
+function estimateReadingMinutes(wordCount, imageCount = 0) {
+  return Math.max(1, Math.ceil(wordCount / 200 + (imageCount * 10) / 60));
+}
 
-    // Observe all animated elements
-    this.observeElements();
+/**
+ * Turn text into a URL fragment, e.g. "Outcome & Impact" to "outcome-and-impact".
+ * Mirrored in tools/build-case-study.js so generated pages carry the same ids.
+ * @param {string} text - Text to convert
+ * @returns {string} Lowercase slug, or '' if nothing is left
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Give an element an id derived from text, if it has none. Ids depend only
+ * on the page's content, so links to them keep working across visits.
+ * @param {HTMLElement} element - Element to identify
+ * @param {string} text - Text to derive the id from
+ * @param {string} [fallback] - Slug to use when the text has none
+ * @returns {string} The element's id
+ */
+function ensureElementId(element, text, fallback = 'section') {
+  if (element.id) return element.id;
+
+  const slug = slugify(text) || fallback;
+
+  // Suffix repeats: "collaboration", "collaboration-2", ...
+  let id = slug;
+  for (let i = 2; document.getElementById(id); i++) {
+    id = `${slug}-${i}`;
   }
 
-  observeElements() {
-    const animatedElements = document.querySelectorAll('.fade-in');
-    animatedElements.forEach(element => {
-      this.observer.observe(element);
-    });
+  element.id = id;
+  return id;
+}
+
+/**
+ * Give a heading an id derived from its text, if it has none
+ * @param {HTMLElement} heading - Heading element
+ * @returns {string} The heading's id
+ */
+function ensureHeadingId(heading) {
+  return ensureElementId(heading, heading.textContent);
+}
+
+/**
+ * Whether the page's main content can be read: not encrypted, and not hidden
+ * by the password gate or an expired session
+ * @returns {boolean} Whether the content is visible
+ */
+function isPageContentVisible() {
+  const main = document.querySelector('.main');
+  return Boolean(main) &&
+    !main.hasAttribute('data-encrypted') &&
+    main.style.display !== 'none' &&
+    !document.body.classList.contains('is-relocked');
+}
+
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Copy text by selecting it in an off-screen field. Browsers only allow this
+ * during a user gesture, so it has to run before anything is awaited.
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether the text was copied
+ */
+function copyWithSelection(text) {
+  const activeElement = document.activeElement;
+  const selection = document.getSelection();
+  const previousRange = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+
+  // Off screen but still selectable; readonly keeps mobile keyboards closed
+  const field = document.createElement('textarea');
+  field.value = text;
+  field.setAttribute('readonly', '');
+  field.setAttribute('aria-hidden', 'true');
+  field.style.position = 'fixed';
+  field.style.top = '0';
+  field.style.left = '-9999px';
+  document.body.appendChild(field);
+  field.select();
+  field.setSelectionRange(0, text.length);
+
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (e) {
+    console.warn('Selection copy failed:', e);
   }
 
-  showAllAnimations() {
-    const animatedElements = document.querySelectorAll('.fade-in');
-    animatedElements.forEach(element => {
-      element.classList.add('visible');
-    });
+  field.remove();
+  if (activeElement && activeElement !== document.body) activeElement.focus({ preventScroll: true });
+  if (previousRange) {
+    selection.removeAllRanges();
+    selection.addRange(previousRange);
   }
 
-  destroy() {
-    if (this.observer) {
-      this.observer.disconnect();
-    }
+  return copied;
+}
+
+/**
+ * Copy text to the clipboard. Call it straight from a click or keydown
+ * handler: the selection copy runs synchronously while the gesture is still
+ * active (Safari refuses it after an await), and the Clipboard API covers
+ * browsers where that fails.
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the text really was copied
+ */
+async function copyText(text) {
+  if (copyWithSelection(text)) return true;
+  if (!navigator.clipboard || !window.isSecureContext) return false;
+
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (e) {
+    console.warn('Clipboard API refused to copy:', e);
+    return false;
   }
 }
 
 // ========================================
-// PROJECT CARD INTERACTIONS
+// DIALOG
 // ========================================
 
-class ProjectCardController {
-  constructor() {
-    this.targetUrl = null;
+/**
+ * Accessible modal dialog. Traps focus, makes the rest of the page inert,
+ * asks to close on Escape and returns focus to the element that opened it.
+ * Dispatches `dialog:open` and `dialog:close` events on the dialog element.
+ */
+class Dialog {
+  /**
+   * @param {HTMLElement} element - Dialog root, shown by toggling `openClass`
+   * @param {Object} [options]
+   * @param {string} [options.initialFocus] - Selector of the element to focus on open
+   * @param {Function} [options.onRequestClose] - Called on Escape; defaults to close()
+   * @param {string} [options.openClass] - Class that makes the dialog visible
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.initialFocus = options.initialFocus || null;
+    this.onRequestClose = options.onRequestClose || (() => this.close());
+    this.openClass = options.openClass || 'show';
+    this.isOpen = false;
+    this.returnFocusTo = null;
+    this.inertElements = [];
+    this.handleKeydown = this.handleKeydown.bind(this);
     this.init();
   }
 
   init() {
-    this.setupProjectCards();
+    if (!this.element.hasAttribute('role')) {
+      this.element.setAttribute('role', 'dialog');
+    }
+    this.element.setAttribute('aria-modal', 'true');
   }
 
-  setupProjectCards() {
-    const projectCards = document.querySelectorAll('.project-card');
-    
-    projectCards.forEach(card => {
-      // Add click handler
-      card.addEventListener('click', (e) => {
-        this.handleProjectCardClick(e, card);
-      });
+  open(opener = document.activeElement) {
+    if (this.isOpen) return;
 
-      // Add keyboard handler
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.handleProjectCardClick(e, card);
-        }
-      });
+    this.isOpen = true;
+    this.returnFocusTo = opener;
+    Dialog.stack.push(this);
 
-      // Add hover effects
-      card.addEventListener('mouseenter', () => {
-        this.handleCardHover(card, true);
-      });
+    this.element.classList.add(this.openClass);
+    this.setBackgroundInert(true);
+    document.addEventListener('keydown', this.handleKeydown);
 
-      card.addEventListener('mouseleave', () => {
-        this.handleCardHover(card, false);
-      });
+    requestAnimationFrame(() => {
+      const target = (this.initialFocus && this.element.querySelector(this.initialFocus)) ||
+        this.getFocusableElements()[0];
+      if (target) target.focus();
     });
+
+    this.element.dispatchEvent(new CustomEvent('dialog:open', { detail: { opener } }));
   }
 
-  handleProjectCardClick(event, card) {
-    event.preventDefault(); // Prevent default navigation
-    
-    const projectTitle = card.querySelector('.project-title');
-    const projectName = projectTitle ? projectTitle.textContent : 'project';
-    const projectUrl = card.getAttribute('href');
-    
-    // Announce to screen reader
-    announceToScreenReader(`Opening ${projectName} project details`);
-    
-    // Add visual feedback
-    card.style.transform = 'scale(0.98)';
-    setTimeout(() => {
-      card.style.transform = '';
-    }, 150);
+  close({ returnFocus = true } = {}) {
+    if (!this.isOpen) return;
 
-    // Store the target URL for after authentication
-    this.targetUrl = projectUrl;
-    
-    // Show password modal
-    this.showPasswordModalForProject();
-  }
+    this.isOpen = false;
+    Dialog.stack.splice(Dialog.stack.indexOf(this), 1);
 
-  handleCardHover(card, isHovering) {
-    const image = card.querySelector('.project-image-img');
-    if (image) {
-      if (isHovering) {
-        image.style.transform = 'scale(1.02)';
-      } else {
-        image.style.transform = 'scale(1)';
-      }
-    }
-  }
+    this.element.classList.remove(this.openClass);
+    this.setBackgroundInert(false);
+    document.removeEventListener('keydown', this.handleKeydown);
 
-  showPasswordModalForProject() {
-    // Check if user is already authenticated
-    if (this.isAuthenticated()) {
-      // User is already authenticated, navigate directly
-      window.location.href = this.targetUrl;
-      return;
+    if (returnFocus && this.returnFocusTo && document.contains(this.returnFocusTo)) {
+      this.returnFocusTo.focus();
     }
+    this.returnFocusTo = null;
 
-    // Show password modal
-    const modal = document.getElementById('password-modal');
-    if (modal) {
-      modal.classList.add('show');
-      announceToScreenReader('Password protection modal opened');
+    this.element.dispatchEvent(new CustomEvent('dialog:close'));
+  }
+
+  setBackgroundInert(isInert) {
+    if (isInert) {
+      // Live regions stay outside so announcements still reach screen readers
+      this.inertElements = Array.from(document.body.children).filter(element =>
+        element !== this.element &&
+        !element.inert &&
+        !element.hasAttribute('aria-live') &&
+        element.tagName !== 'SCRIPT'
+      );
+      this.inertElements.forEach(element => {
+        element.inert = true;
+      });
     } else {
-      console.error('Password modal not found');
+      this.inertElements.forEach(element => {
+        element.inert = false;
+      });
+      this.inertElements = [];
     }
   }
 
-  isAuthenticated() {
-    try {
-      const authData = sessionStorage.getItem('portfolio_authenticated');
-      if (!authData) return false;
+  getFocusableElements() {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    return Array.from(this.element.querySelectorAll(selector))
+      .filter(element => element.getClientRects().length > 0);
+  }
 
-      const parsed = JSON.parse(authData);
-      const now = Date.now();
-      
-      // Check if session is still valid (24 hours)
-      if (now - parsed.timestamp > 24 * 60 * 60 * 1000) {
-        sessionStorage.removeItem('portfolio_authenticated');
-        return false;
+  handleKeydown(e) {
+    // Only the topmost dialog responds
+    if (Dialog.stack[Dialog.stack.length - 1] !== this) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.onRequestClose();
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      const focusable = this.getFocusableElements();
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
       }
 
-      return parsed.authenticated === true;
-    } catch (e) {
-      console.warn('Could not check authentication:', e);
-      return false;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isOutside = !this.element.contains(document.activeElement);
+
+      if (e.shiftKey && (document.activeElement === first || isOutside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || isOutside)) {
+        e.preventDefault();
+        first.focus();
+      }
     }
   }
 }
 
+// Open dialogs, topmost last
+Dialog.stack = [];
+
 // ========================================
-// MOBILE NAVIGATION
+// KEYBOARD SHORTCUTS
 // ========================================
 
-class MobileNavigationController {
+/**
+ * One place for the site's keyboard shortcuts. A shortcut is either a key
+ * with Cmd (macOS) or Ctrl ("mod+k"), or one or two plain keys ("?", "g w").
+ * Combinations the browser reserves can't be registered. Plain-key shortcuts
+ * are skipped while typing or while a dialog is open, and visitors can turn
+ * them off in the "?" overlay, e.g. if they clash with a screen reader.
+ */
+class KeyboardShortcuts {
   constructor() {
-    this.isOpen = false;
+    this.storageKey = 'portfolio_shortcuts';
+    this.sequenceTimeout = 1000;
+    // New window/tab, close, find, minimise, address bar, reload, print,
+    // save, bookmark, history, downloads, quit and hide
+    this.reserved = ['mod+n', 'mod+t', 'mod+w', 'mod+f', 'mod+g', 'mod+m', 'mod+l', 'mod+r', 'mod+p', 'mod+s', 'mod+d', 'mod+h', 'mod+j', 'mod+q'];
+    this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+    this.shortcuts = [];
+    this.pending = null;
+    this.pendingTimer = null;
+    this.element = null;
+    this.dialog = null;
     this.init();
   }
 
   init() {
-    this.setupMobileMenu();
-    this.setupKeyboardNavigation();
-    this.setupClickOutside();
+    this.setupHelp();
+    this.register('?', 'Show keyboard shortcuts', () => this.openHelp());
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
   }
 
-  setupMobileMenu() {
-    const toggleButton = document.querySelector('.mobile-menu-toggle');
-    const navMenu = document.querySelector('.nav-menu');
-    
-    if (toggleButton && navMenu) {
-      toggleButton.addEventListener('click', () => {
-        this.toggleMobileMenu();
-      });
+  /**
+   * Add a shortcut
+   * @param {string} keys - "mod+k", a single key such as "?", or a sequence such as "g w"
+   * @param {string} description - Shown in the help overlay
+   * @param {Function} run - Called with the keydown event; return false to
+   *   leave the key to the browser
+   * @param {Object} [options]
+   * @param {string} [options.group] - Heading the shortcut is listed under
+   */
+  register(keys, description, run, { group = 'General' } = {}) {
+    const normalized = keys.toLowerCase();
+
+    if (this.reserved.includes(normalized)) {
+      console.warn(`Keyboard shortcut "${keys}" is reserved by the browser and was not registered`);
+      return;
+    }
+    if (this.find(normalized)) {
+      console.warn(`Keyboard shortcut "${keys}" is already registered`);
+      return;
+    }
 
-      // Close menu when clicking on nav links
-      const navLinks = navMenu.querySelectorAll('.nav-link');
-      navLinks.forEach(link => {
-        link.addEventListener('click', () => {
-          this.closeMobileMenu();
-        });
-      });
+    this.shortcuts.push({ keys: normalized, description, run, group });
+  }
+
+  find(keys) {
+    return this.shortcuts.find(shortcut => shortcut.keys === keys);
+  }
+
+  /**
+   * Whether plain-key shortcuts are on; Cmd/Ctrl shortcuts always are
+   * @returns {boolean} Whether they are on
+   */
+  isEnabled() {
+    try {
+      return localStorage.getItem(this.storageKey) !== 'off';
+    } catch (e) {
+      return true;
     }
   }
 
-  setupKeyboardNavigation() {
-    const toggleButton = document.querySelector('.mobile-menu-toggle');
-    
-    if (toggleButton) {
-      toggleButton.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.toggleMobileMenu();
-        }
-        
-        if (e.key === 'Escape') {
-          this.closeMobileMenu();
-        }
-      });
+  setEnabled(enabled) {
+    try {
+      if (enabled) {
+        localStorage.removeItem(this.storageKey);
+      } else {
+        localStorage.setItem(this.storageKey, 'off');
+      }
+    } catch (e) {
+      console.warn('Could not save keyboard shortcut preference:', e);
     }
+    announceToScreenReader(`Single-key shortcuts turned ${enabled ? 'on' : 'off'}`);
+  }
 
-    // Handle escape key for closing menu
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isOpen) {
-        this.closeMobileMenu();
-      }
-    });
+  isTyping(target) {
+    return target instanceof Element &&
+      (target.isContentEditable || Boolean(target.closest('input, textarea, select')));
   }
 
-  setupClickOutside() {
-    document.addEventListener('click', (e) => {
-      const navHeader = document.querySelector('.nav-header');
-      const toggleButton = document.querySelector('.mobile-menu-toggle');
-      
-      if (this.isOpen && 
-          !navHeader.contains(e.target) && 
-          e.target !== toggleButton) {
-        this.closeMobileMenu();
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+
+    if (e.metaKey || e.ctrlKey) {
+      // The other modifier stays with the browser and operating system
+      const hasMod = this.isMac ? e.metaKey && !e.ctrlKey : e.ctrlKey && !e.metaKey;
+      if (hasMod && !e.altKey && !e.shiftKey) {
+        this.run(this.find(`mod+${e.key.toLowerCase()}`), e);
       }
-    });
-  }
+      return;
+    }
 
-  toggleMobileMenu() {
-    if (this.isOpen) {
-      this.closeMobileMenu();
-    } else {
-      this.openMobileMenu();
+    // Only printable keys; Shift is part of keys like "?"
+    if (e.altKey || e.key.length !== 1) return;
+    if (!this.isEnabled() || this.isTyping(e.target) || Dialog.stack.length) {
+      this.resetSequence();
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    const first = this.pending;
+    this.resetSequence();
+
+    if (first && this.run(this.find(`${first} ${key}`), e)) return;
+    if (this.run(this.find(key), e)) return;
+
+    if (this.shortcuts.some(shortcut => shortcut.keys.startsWith(`${key} `))) {
+      this.pending = key;
+      this.pendingTimer = setTimeout(() => this.resetSequence(), this.sequenceTimeout);
     }
   }
 
-  openMobileMenu() {
-    const toggleButton = document.querySelector('.mobile-menu-toggle');
-    const navMenu = document.querySelector('.nav-menu');
-    
-    if (toggleButton && navMenu) {
-      this.isOpen = true;
-      toggleButton.setAttribute('aria-expanded', 'true');
-      navMenu.classList.add('mobile-open');
-      
-      // Announce to screen readers
-      announceToScreenReader('Navigation menu opened');
-      
-      // Prevent any automatic focus on nav links to avoid blue border
-      setTimeout(() => {
-        const navLinks = navMenu.querySelectorAll('.nav-link');
-        navLinks.forEach(link => {
-          if (document.activeElement === link) {
-            link.blur();
-          }
-        });
-      }, 0);
+  /**
+   * Run a shortcut if there is one
+   * @param {Object|undefined} shortcut - Registered shortcut
+   * @param {KeyboardEvent} e - Triggering event
+   * @returns {boolean} Whether the shortcut handled the key
+   */
+  run(shortcut, e) {
+    if (!shortcut || shortcut.run(e) === false) return false;
+    e.preventDefault();
+    return true;
+  }
+
+  resetSequence() {
+    clearTimeout(this.pendingTimer);
+    this.pending = null;
+  }
+
+  /**
+   * Markup for a shortcut's keys, e.g. "g then w" or "Ctrl + K"
+   * @param {string} keys - Registered keys
+   * @returns {string} HTML
+   */
+  formatKeys(keys) {
+    if (keys.startsWith('mod+')) {
+      return `<kbd>${this.isMac ? 'Cmd' : 'Ctrl'}</kbd> + <kbd>${escapeHTML(keys.slice(4).toUpperCase())}</kbd>`;
     }
+    return keys.split(' ').map(key => `<kbd>${escapeHTML(key)}</kbd>`).join(' then ');
   }
 
-  closeMobileMenu() {
-    const toggleButton = document.querySelector('.mobile-menu-toggle');
-    const navMenu = document.querySelector('.nav-menu');
-    
-    if (toggleButton && navMenu) {
-      this.isOpen = false;
-      toggleButton.setAttribute('aria-expanded', 'false');
-      navMenu.classList.remove('mobile-open');
-      
-      // Announce to screen readers
-      announceToScreenReader('Navigation menu closed');
-      
-      // Return focus to toggle button
-      toggleButton.focus();
+  setupHelp() {
+    this.element = document.createElement('div');
+    this.element.className = 'shortcut-help';
+    this.element.setAttribute('aria-labelledby', 'shortcut-help-title');
+    this.element.innerHTML = `
+      <div class="shortcut-help-panel">
+        <div class="shortcut-help-header">
+          <h2 id="shortcut-help-title" class="shortcut-help-title">Keyboard shortcuts</h2>
+          <button type="button" class="shortcut-help-close" aria-label="Close keyboard shortcuts">&times;</button>
+        </div>
+        <div class="shortcut-help-groups"></div>
+        <label class="shortcut-help-toggle">
+          <input type="checkbox" class="shortcut-help-checkbox">
+          Single-key shortcuts
+        </label>
+        <p class="shortcut-help-note">Turn these off if they get in the way of your screen reader or other tools. Shortcuts with ${this.isMac ? 'Cmd' : 'Ctrl'} keep working.</p>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+
+    this.dialog = new Dialog(this.element, {
+      initialFocus: '.shortcut-help-close',
+      openClass: 'is-open'
+    });
+
+    this.element.querySelector('.shortcut-help-close').addEventListener('click', () => this.dialog.close());
+    this.element.querySelector('.shortcut-help-checkbox').addEventListener('change', (e) => {
+      this.setEnabled(e.target.checked);
+    });
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element) this.dialog.close();
+    });
+
+    // Shortcuts can be turned back on without the "?" key
+    const footer = document.querySelector('.footer .container');
+    if (footer) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'footer-shortcuts';
+      button.setAttribute('aria-haspopup', 'dialog');
+      button.textContent = 'Keyboard shortcuts';
+      button.addEventListener('click', () => this.openHelp());
+      footer.appendChild(button);
     }
   }
+
+  openHelp() {
+    const groups = new Map();
+    this.shortcuts.forEach(shortcut => {
+      if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+      groups.get(shortcut.group).push(shortcut);
+    });
+
+    this.element.querySelector('.shortcut-help-groups').innerHTML = Array.from(groups).map(([group, shortcuts]) => `
+      <h3 class="shortcut-help-group">${escapeHTML(group)}</h3>
+      <dl class="shortcut-help-list">
+        ${shortcuts.map(shortcut => `
+          <div class="shortcut-help-item">
+            <dt>${this.formatKeys(shortcut.keys)}</dt>
+            <dd>${escapeHTML(shortcut.description)}</dd>
+          </div>
+        `).join('')}
+      </dl>
+    `).join('');
+    this.element.querySelector('.shortcut-help-checkbox').checked = this.isEnabled();
+
+    this.dialog.open();
+  }
 }
 
 // ========================================
-// CONTACT EMAIL COPY FUNCTIONALITY
+// LAZY LOADING ENHANCEMENT
 // ========================================
 
-class ContactController {
+/**
+ * Fades lazy images in once they have decoded. Images with a
+ * `data-placeholder` preview (see tools/build-placeholders.js) show it until
+ * then. Failed images are retried once, then replaced with their alt text.
+ */
+class LazyLoadingEnhancer {
   constructor() {
-    // Obfuscated email to prevent basic scraping
-    this.email = this.decodeEmail('YW5kcmV3bWFsb25lZGVzaWduQGdtYWlsLmNvbQ==');
-    this.originalText = 'Contact';
-    this.lastClickTime = 0;
-    this.clickCount = 0;
+    this.retryDelay = 2000;
+    // Shared with scripts/image-policy.js, which trims images during parsing
+    this.imagePolicy = imageQualityPolicy;
+    this.limitedImages = [];
+    this.qualityNotice = null;
     this.init();
   }
 
-  // Simple base64 decoding for email obfuscation
-  decodeEmail(encoded) {
-    return atob(encoded);
+  init() {
+    this.setupLazyLoading();
   }
 
-  // Additional protection: Check if running in a legitimate browser
-  isLegitimateBrowser() {
-    // Basic checks to detect automated tools
-    return (
-      typeof window !== 'undefined' &&
-      typeof document !== 'undefined' &&
-      navigator.userAgent &&
-      !navigator.userAgent.includes('bot') &&
-      !navigator.userAgent.includes('crawler') &&
-      !navigator.userAgent.includes('spider')
-    );
+  setupLazyLoading(root = document) {
+    const lazyImages = root.querySelectorAll('img[loading="lazy"]');
+    
+    lazyImages.forEach(img => {
+      if (img.dataset.lazyState) return;
+      img.dataset.lazyState = 'loading';
+
+      this.applyImagePolicy(img);
+      this.showPlaceholder(img);
+
+      img.addEventListener('load', () => this.handleLoad(img));
+      img.addEventListener('error', () => this.handleError(img));
+
+      // Already finished, e.g. from cache, before the listeners were added
+      if (img.complete) {
+        if (img.naturalWidth > 0) {
+          this.handleLoad(img);
+        } else if (img.currentSrc) {
+          this.handleError(img);
+        }
+      }
+    });
   }
 
-  init() {
-    this.setupContactLink();
+  /**
+   * Trim images the head script didn't see, such as decrypted case-study
+   * content, and offer the full srcset back
+   * @param {HTMLImageElement} img - Lazy image
+   */
+  applyImagePolicy(img) {
+    this.imagePolicy.limit(img);
+    if (!img.dataset.fullSrcset) return;
+
+    this.limitedImages.push(img);
+    this.showQualityNotice(img);
   }
 
-  setupContactLink() {
-    // Handle navigation contact link
-    const contactLink = document.querySelector('.contact-copy-link');
-    
-    if (contactLink) {
-      contactLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.handleContactClick(e);
-      });
+  showQualityNotice(img) {
+    if (this.qualityNotice) return;
 
-      contactLink.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.handleContactClick(e);
-        }
-      });
+    this.qualityNotice = document.createElement('p');
+    this.qualityNotice.className = 'image-quality-notice';
+    this.qualityNotice.innerHTML = `
+      <span>Showing lighter images to save data.</span>
+      <button type="button" class="image-quality-button">Load high-resolution images</button>
+    `;
+    this.qualityNotice.querySelector('button').addEventListener('click', () => this.loadHighResolution());
+
+    const anchor = img.closest('.work-grid') || img.parentElement;
+    anchor.parentNode.insertBefore(this.qualityNotice, anchor);
+  }
+
+  loadHighResolution() {
+    this.imagePolicy.setHighResolution();
+
+    this.limitedImages.forEach(img => {
+      img.setAttribute('srcset', img.dataset.fullSrcset);
+      delete img.dataset.fullSrcset;
+    });
+    this.limitedImages = [];
+
+    if (this.qualityNotice) {
+      // Keep keyboard focus nearby once the button disappears
+      const next = this.qualityNotice.nextElementSibling;
+      const focusTarget = next && next.querySelector('a[href], button');
+      this.qualityNotice.remove();
+      this.qualityNotice = null;
+      if (focusTarget) focusTarget.focus({ preventScroll: true });
     }
+
+    announceToScreenReader('Loading high-resolution images');
   }
 
-  async handleContactClick(event) {
-    const link = event.currentTarget;
-    const now = Date.now();
-    
-    // Basic protection: Only work in legitimate browsers
-    if (!this.isLegitimateBrowser()) {
-      console.warn('Contact functionality blocked for automated tools');
+  showPlaceholder(img) {
+    const { placeholder, placeholderColor } = img.dataset;
+    if (!placeholder && !placeholderColor) return;
+
+    img.classList.add('has-placeholder');
+    if (placeholderColor) img.style.backgroundColor = placeholderColor;
+    if (placeholder) img.style.backgroundImage = `url("${placeholder}")`;
+  }
+
+  clearPlaceholder(img) {
+    img.classList.remove('has-placeholder');
+    img.style.backgroundColor = '';
+    img.style.backgroundImage = '';
+  }
+
+  async handleLoad(img) {
+    if (img.dataset.lazyState === 'loaded') return;
+
+    try {
+      // Wait until the image can paint in one go rather than in strips
+      await img.decode();
+    } catch (e) {
+      // Decoding can be refused for offscreen images; the image has loaded either way
+    }
+
+    img.dataset.lazyState = 'loaded';
+    img.classList.add('loaded');
+    this.clearPlaceholder(img);
+  }
+
+  handleError(img) {
+    if (img.dataset.lazyState === 'retrying') {
+      console.warn('Failed to load image:', img.currentSrc || img.src);
+      this.showFallback(img);
       return;
     }
-    
-    // Rate limiting: Prevent rapid clicks (likely scraping)
-    if (now - this.lastClickTime < 1000) { // 1 second cooldown
-      this.clickCount++;
-      if (this.clickCount > 3) {
-        console.warn('Too many rapid clicks detected - blocking');
-        return;
-      }
-    } else {
-      this.clickCount = 0; // Reset counter if enough time passed
+    if (img.dataset.lazyState !== 'loading') return;
+
+    img.dataset.lazyState = 'retrying';
+    setTimeout(() => this.retry(img), this.retryDelay);
+  }
+
+  retry(img) {
+    // Setting the attribute again, even to the same value, makes the browser
+    // pick a source (including <picture> sources) and request it anew
+    img.setAttribute('src', img.getAttribute('src'));
+  }
+
+  /**
+   * Swap a broken image for a styled box showing its alt text
+   * @param {HTMLImageElement} img - Image that failed twice
+   */
+  showFallback(img) {
+    img.dataset.lazyState = 'failed';
+    this.clearPlaceholder(img);
+
+    const target = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : img;
+    const fallback = document.createElement('div');
+    const alt = img.getAttribute('alt');
+
+    // Keep the image's classes and proportions so the layout doesn't jump
+    fallback.className = `image-fallback ${img.className}`.trim();
+    if (img.getAttribute('width') && img.getAttribute('height')) {
+      fallback.style.aspectRatio = `${img.getAttribute('width')} / ${img.getAttribute('height')}`;
     }
-    this.lastClickTime = now;
-    
-    try {
-      // Copy email to clipboard
-      await navigator.clipboard.writeText(this.email);
-      
-      // Add visual feedback
-      link.style.transform = 'scale(0.95)';
-      setTimeout(() => {
-        link.style.transform = '';
-      }, 150);
-      
-      // Announce to screen reader
-      announceToScreenReader('Email address copied to clipboard');
-      
-      // Smooth transition to "Copied!"
-      this.showCopiedState(link);
-      
-    } catch (err) {
-      // Fallback for browsers that don't support clipboard API
-      console.error('Failed to copy email to clipboard:', err);
-      
-      // Show fallback message
-      announceToScreenReader('Unable to copy email automatically. Please copy the email address manually');
-      
-      // Still show visual feedback
-      link.style.transform = 'scale(0.95)';
-      setTimeout(() => {
-        link.style.transform = '';
-      }, 150);
-      
-      // Show copied state even on error
-      this.showCopiedState(link);
+    fallback.innerHTML = `
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M21 5v6.59l-3-3.01-4 4.01-4-4-4 4-3-3.01V5c0-1.1.9-2 2-2h14c1.1 0 2 .9 2 2zm-3 6.42 3 3.01V19c0 1.1-.9 2-2 2H5c-1.1 0-2-.9-2-2v-6.58l3 2.99 4-4 4 4 4-3.99z"/>
+      </svg>
+      <span class="image-fallback-text"></span>
+    `;
+    fallback.querySelector('.image-fallback-text').textContent = alt || 'Image unavailable';
+
+    if (alt) {
+      fallback.setAttribute('role', 'img');
+      fallback.setAttribute('aria-label', `${alt} (image failed to load)`);
+    } else {
+      fallback.setAttribute('aria-hidden', 'true');
     }
-  }
 
-  showCopiedState(link) {
-    // Store original text content
-    const originalText = link.textContent.trim();
-    
-    // Remove focus to clear the blue outline
-    link.blur();
-    
-    // Add copied class for styling and animation
-    link.classList.add('copied');
-    
-    // Change text to "Copied!"
-    link.textContent = 'Copied!';
-    
-    // Reset after 1.5 seconds (snappier transition)
-    setTimeout(() => {
-      // Remove copied class and reset text
-      link.classList.remove('copied');
-      link.textContent = originalText;
-    }, 1500);
+    target.hidden = true;
+    target.insertAdjacentElement('afterend', fallback);
   }
 }
 
 // ========================================
-// LINKEDIN BUTTON INTERACTIONS
+// IMAGE LIGHTBOX
 // ========================================
 
-class LinkedInButtonController {
+/**
+ * Full-screen viewer for case-study images. Supports wheel, pinch and
+ * keyboard zoom, drag to pan, and arrow keys to move between every image
+ * on the page. The caption comes from the image's alt text.
+ */
+class ImageLightbox {
   constructor() {
+    // Comparison sliders handle their own pointer input
+    this.imageSelector = '.case-study-page .main img:not(.comparison-slider img)';
+    this.images = [];
+    this.index = 0;
+    this.minScale = 1;
+    this.maxScale = 5;
+    this.zoomStep = 1.5;
+    this.scale = 1;
+    this.offset = { x: 0, y: 0 };
+    this.pointers = new Map();
+    this.pinchStart = null;
+    this.dragStart = null;
+    this.element = null;
+    this.dialog = null;
     this.init();
   }
 
   init() {
-    this.setupLinkedInButton();
+    if (!document.body.classList.contains('case-study-page')) return;
+
+    this.setupLightbox();
+    this.setupImages();
   }
 
-  setupLinkedInButton() {
-    const linkedInButton = document.querySelector('.btn-linkedin');
-    
-    if (linkedInButton) {
-      linkedInButton.addEventListener('click', (e) => {
-        this.handleLinkedInClick(e);
-      });
+  /**
+   * Make case-study images open the lightbox
+   * @param {Document|HTMLElement} root - Container to search, e.g. decrypted content
+   */
+  setupImages(root = document) {
+    if (!this.element) return;
 
-      linkedInButton.addEventListener('keydown', (e) => {
+    root.querySelectorAll(this.imageSelector).forEach(img => {
+      if (img.dataset.lightbox === 'true') return;
+
+      img.dataset.lightbox = 'true';
+      img.tabIndex = 0;
+      img.setAttribute('role', 'button');
+      img.setAttribute('aria-haspopup', 'dialog');
+      img.setAttribute('aria-label', `Enlarge image: ${img.alt || 'case study image'}`);
+
+      img.addEventListener('click', () => this.open(img));
+      img.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
-          this.handleLinkedInClick(e);
+          this.open(img);
         }
       });
-    }
+    });
   }
 
-  handleLinkedInClick(event) {
-    // Announce to screen reader
-    announceToScreenReader('Opening LinkedIn profile in new tab');
-    
-    // Add visual feedback
-    const button = event.currentTarget;
-    button.style.transform = 'scale(0.95)';
-    setTimeout(() => {
-      button.style.transform = '';
-    }, 150);
+  setupLightbox() {
+    this.element = document.createElement('div');
+    this.element.className = 'lightbox';
+    this.element.setAttribute('aria-label', 'Image viewer');
+    this.element.innerHTML = `
+      <div class="lightbox-toolbar">
+        <p class="lightbox-counter" aria-live="polite"></p>
+        <div class="lightbox-actions">
+          <button type="button" class="lightbox-button lightbox-zoom-out" aria-label="Zoom out">&minus;</button>
+          <button type="button" class="lightbox-button lightbox-zoom-in" aria-label="Zoom in">+</button>
+          <button type="button" class="lightbox-button lightbox-close" aria-label="Close image viewer">&times;</button>
+        </div>
+      </div>
+      <figure class="lightbox-figure">
+        <div class="lightbox-stage">
+          <img class="lightbox-image" alt="" draggable="false">
+        </div>
+        <figcaption class="lightbox-caption"></figcaption>
+      </figure>
+      <button type="button" class="lightbox-button lightbox-prev" aria-label="Previous image">&lsaquo;</button>
+      <button type="button" class="lightbox-button lightbox-next" aria-label="Next image">&rsaquo;</button>
+    `;
+    document.body.appendChild(this.element);
 
-    // In a real implementation, this would open the LinkedIn profile
-    // For demo purposes, we'll just log the action
-    console.log('Opening LinkedIn profile');
-    
-    // Uncomment the line below to actually open LinkedIn
+    this.stage = this.element.querySelector('.lightbox-stage');
+    this.image = this.element.querySelector('.lightbox-image');
+    this.caption = this.element.querySelector('.lightbox-caption');
+    this.counter = this.element.querySelector('.lightbox-counter');
+
+    this.dialog = new Dialog(this.element, {
+      initialFocus: '.lightbox-close',
+      onRequestClose: () => this.close(),
+      openClass: 'is-open'
+    });
+
+    this.element.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+    this.element.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+    this.element.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+    this.element.querySelector('.lightbox-zoom-in').addEventListener('click', () => this.zoomBy(this.zoomStep));
+    this.element.querySelector('.lightbox-zoom-out').addEventListener('click', () => this.zoomBy(1 / this.zoomStep));
+
+    this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.image.addEventListener('load', () => this.stage.classList.remove('is-loading'));
+    this.image.addEventListener('error', () => {
+      this.stage.classList.remove('is-loading');
+      console.warn('Failed to load image:', this.image.src);
+    });
+
+    // Clicking the backdrop, outside the image and controls, closes the viewer
+    this.stage.addEventListener('click', (e) => {
+      if (e.target === this.stage && this.scale === 1) this.close();
+    });
+
+    this.setupZoomGestures();
+  }
+
+  setupZoomGestures() {
+    this.stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      // Trackpad pinches arrive as ctrl+wheel with small deltas; some mice scroll by lines
+      const deltaY = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 16 : e.deltaY;
+      const factor = Math.exp(-deltaY * (e.ctrlKey ? 0.01 : 0.002));
+      this.zoomBy(factor, { x: e.clientX, y: e.clientY });
+    }, { passive: false });
+
+    // Listen on the stage: pointer capture while zoomed retargets clicks to it
+    this.stage.addEventListener('dblclick', (e) => {
+      if (this.scale > 1) {
+        this.resetZoom();
+      } else if (e.target === this.image) {
+        this.zoomBy(2, { x: e.clientX, y: e.clientY });
+      }
+    });
+
+    this.stage.addEventListener('pointerdown', (e) => {
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      // Capture only for gestures so plain clicks keep their target
+      if (this.pointers.size === 2 || this.scale > 1) {
+        this.stage.setPointerCapture(e.pointerId);
+      }
+
+      if (this.pointers.size === 2) {
+        this.pinchStart = { distance: this.getPointerDistance(), scale: this.scale };
+        this.dragStart = null;
+        this.stage.classList.add('is-dragging');
+      } else if (this.pointers.size === 1 && this.scale > 1) {
+        this.dragStart = { x: e.clientX - this.offset.x, y: e.clientY - this.offset.y };
+        this.stage.classList.add('is-dragging');
+      }
+    });
+
+    this.stage.addEventListener('pointermove', (e) => {
+      if (!this.pointers.has(e.pointerId)) return;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this.pinchStart && this.pointers.size === 2) {
+        const [a, b] = Array.from(this.pointers.values());
+        const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const targetScale = this.pinchStart.scale * (this.getPointerDistance() / this.pinchStart.distance);
+        this.zoomBy(targetScale / this.scale, center);
+      } else if (this.dragStart) {
+        this.setTransform(this.scale, {
+          x: e.clientX - this.dragStart.x,
+          y: e.clientY - this.dragStart.y
+        });
+      }
+    });
+
+    const endPointer = (e) => {
+      this.pointers.delete(e.pointerId);
+      if (this.pointers.size < 2) this.pinchStart = null;
+      if (this.pointers.size === 0) {
+        this.dragStart = null;
+        this.stage.classList.remove('is-dragging');
+      }
+    };
+    this.stage.addEventListener('pointerup', endPointer);
+    this.stage.addEventListener('pointercancel', endPointer);
+  }
+
+  getPointerDistance() {
+    const [a, b] = Array.from(this.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  handleKeydown(e) {
+    if (!this.dialog.isOpen) return;
+
+    const panStep = 50;
+    const actions = {
+      ArrowLeft: () => (this.scale > 1 ? this.panBy(panStep, 0) : this.show(this.index - 1)),
+      ArrowRight: () => (this.scale > 1 ? this.panBy(-panStep, 0) : this.show(this.index + 1)),
+      ArrowUp: () => this.panBy(0, panStep),
+      ArrowDown: () => this.panBy(0, -panStep),
+      '+': () => this.zoomBy(this.zoomStep),
+      '=': () => this.zoomBy(this.zoomStep),
+      '-': () => this.zoomBy(1 / this.zoomStep),
+      '0': () => this.resetZoom()
+    };
+
+    const action = actions[e.key];
+    if (action && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      action();
+    }
+  }
+
+  /**
+   * Open the viewer on a page image
+   * @param {HTMLImageElement} img - Image that was activated
+   */
+  open(img) {
+    this.images = Array.from(document.querySelectorAll(this.imageSelector));
+    this.element.classList.toggle('is-single', this.images.length < 2);
+    this.show(Math.max(this.images.indexOf(img), 0));
+    this.dialog.open(img);
+  }
+
+  close() {
+    this.dialog.close();
+    this.image.removeAttribute('src');
+    this.resetZoom();
+  }
+
+  /**
+   * Show the image at an index, wrapping around both ends
+   * @param {number} index - Position in the page's images
+   */
+  show(index) {
+    const count = this.images.length;
+    if (count === 0) return;
+
+    this.index = (index + count) % count;
+    const source = this.images[this.index];
+    const alt = source.getAttribute('alt') || '';
+
+    this.resetZoom();
+    this.stage.classList.add('is-loading');
+    // currentSrc keeps the variant the page already chose; lazy images may not have one yet
+    this.image.src = source.currentSrc || source.src;
+    this.image.alt = alt;
+    this.caption.textContent = alt;
+    this.caption.hidden = !alt;
+    this.counter.textContent = `Image ${this.index + 1} of ${count}`;
+
+    if (this.image.complete && this.image.naturalWidth) {
+      this.stage.classList.remove('is-loading');
+    }
+  }
+
+  /**
+   * Zoom by a factor, keeping the point under the cursor or fingers in place
+   * @param {number} factor - Multiplier for the current scale
+   * @param {{x: number, y: number}} [origin] - Viewport point to zoom around; defaults to the centre
+   */
+  zoomBy(factor, origin = null) {
+    const scale = Math.min(this.maxScale, Math.max(this.minScale, this.scale * factor));
+    if (scale === this.scale) return;
+
+    const rect = this.stage.getBoundingClientRect();
+    const center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    const point = origin || center;
+    const ratio = scale / this.scale;
+
+    this.setTransform(scale, {
+      x: (point.x - center.x) * (1 - ratio) + this.offset.x * ratio,
+      y: (point.y - center.y) * (1 - ratio) + this.offset.y * ratio
+    });
+  }
+
+  panBy(dx, dy) {
+    if (this.scale === 1) return;
+    this.setTransform(this.scale, { x: this.offset.x + dx, y: this.offset.y + dy });
+  }
+
+  resetZoom() {
+    this.setTransform(1, { x: 0, y: 0 });
+  }
+
+  /**
+   * Apply a zoom level and pan offset, keeping the image covering the stage
+   * @param {number} scale - Zoom level
+   * @param {{x: number, y: number}} offset - Pan offset in pixels
+   */
+  setTransform(scale, offset) {
+    const maxX = Math.max(0, (this.image.offsetWidth * scale - this.stage.clientWidth) / 2);
+    const maxY = Math.max(0, (this.image.offsetHeight * scale - this.stage.clientHeight) / 2);
+
+    this.scale = scale;
+    this.offset = {
+      x: Math.min(maxX, Math.max(-maxX, offset.x)),
+      y: Math.min(maxY, Math.max(-maxY, offset.y))
+    };
+
+    this.image.style.transform = `translate(${this.offset.x}px, ${this.offset.y}px) scale(${scale})`;
+    this.stage.classList.toggle('is-zoomed', scale > 1);
+  }
+}
+
+// ========================================
+// BEFORE/AFTER COMPARISON
+// ========================================
+
+/**
+ * Turns each `.iteration-comparison` with two versions into a before/after
+ * slider. Without JavaScript the versions stay side by side.
+ */
+class ComparisonSlider {
+  constructor() {
+    this.keyboardStep = 5;
+    this.init();
+  }
+
+  init() {
+    this.setupSliders();
+  }
+
+  /**
+   * Enhance comparisons inside a container
+   * @param {Document|HTMLElement} root - Container to search, e.g. decrypted content
+   */
+  setupSliders(root = document) {
+    root.querySelectorAll('.iteration-comparison').forEach(comparison => {
+      const versions = comparison.querySelectorAll('.iteration-version');
+      if (versions.length !== 2 || comparison.classList.contains('comparison-slider')) return;
+
+      this.createSlider(comparison, versions);
+    });
+  }
+
+  createSlider(comparison, [before, after]) {
+    const beforeLabel = this.getLabel(before, 'Before');
+    const afterLabel = this.getLabel(after, 'After');
+
+    comparison.classList.add('comparison-slider');
+    before.classList.add('comparison-before');
+    after.classList.add('comparison-after');
+
+    const handle = document.createElement('div');
+    handle.className = 'comparison-handle';
+    handle.tabIndex = 0;
+    handle.setAttribute('role', 'slider');
+    handle.setAttribute('aria-label', `Compare ${beforeLabel.toLowerCase()} and ${afterLabel.toLowerCase()}`);
+    handle.setAttribute('aria-valuemin', '0');
+    handle.setAttribute('aria-valuemax', '100');
+    handle.setAttribute('aria-orientation', 'horizontal');
+    handle.innerHTML = '<span class="comparison-grip" aria-hidden="true"></span>';
+    comparison.appendChild(handle);
+
+    const setPosition = (percent) => {
+      const position = Math.min(100, Math.max(0, Math.round(percent)));
+      comparison.style.setProperty('--comparison-position', `${position}%`);
+      handle.setAttribute('aria-valuenow', String(position));
+      handle.setAttribute('aria-valuetext', `${position}% ${beforeLabel}, ${100 - position}% ${afterLabel}`);
+    };
+
+    const getPosition = () => Number(handle.getAttribute('aria-valuenow'));
+
+    const setPositionFromPointer = (clientX) => {
+      const rect = comparison.getBoundingClientRect();
+      setPosition(((clientX - rect.left) / rect.width) * 100);
+    };
+
+    setPosition(50);
+
+    handle.addEventListener('keydown', (e) => {
+      const positions = {
+        ArrowLeft: getPosition() - this.keyboardStep,
+        ArrowDown: getPosition() - this.keyboardStep,
+        ArrowRight: getPosition() + this.keyboardStep,
+        ArrowUp: getPosition() + this.keyboardStep,
+        PageDown: getPosition() - 25,
+        PageUp: getPosition() + 25,
+        Home: 0,
+        End: 100
+      };
+
+      if (e.key in positions) {
+        e.preventDefault();
+        setPosition(positions[e.key]);
+      }
+    });
+
+    // Drag anywhere on the comparison; vertical swipes still scroll the page
+    comparison.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+
+      e.preventDefault();
+      comparison.setPointerCapture(e.pointerId);
+      comparison.classList.add('is-dragging');
+      handle.focus({ preventScroll: true });
+      setPositionFromPointer(e.clientX);
+    });
+
+    comparison.addEventListener('pointermove', (e) => {
+      if (comparison.hasPointerCapture(e.pointerId)) {
+        setPositionFromPointer(e.clientX);
+      }
+    });
+
+    const endDrag = (e) => {
+      if (comparison.hasPointerCapture(e.pointerId)) {
+        comparison.releasePointerCapture(e.pointerId);
+      }
+      comparison.classList.remove('is-dragging');
+    };
+    comparison.addEventListener('pointerup', endDrag);
+    comparison.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Read a version's visible label
+   * @param {HTMLElement} version - `.iteration-version` element
+   * @param {string} fallback - Label to use when the version has none
+   * @returns {string} Label text
+   */
+  getLabel(version, fallback) {
+    const label = version.querySelector('.version-label');
+    return (label && label.textContent.trim()) || fallback;
+  }
+}
+
+// ========================================
+// INTERSECTION OBSERVER FOR ANIMATIONS
+// ========================================
+
+class AnimationController {
+  constructor() {
+    this.observer = null;
+    this.init();
+  }
+
+  init() {
+    // Check if IntersectionObserver is supported
+    if (!('IntersectionObserver' in window)) {
+      // Fallback: show all animations immediately
+      this.showAllAnimations();
+      return;
+    }
+
+    // Create intersection observer
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+            // Unobserve after animation to improve performance
+            this.observer.unobserve(entry.target);
+          }
+        });
+      },
+      {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+      }
+    );
+
+    // Observe all animated elements
+    this.observeElements();
+  }
+
+  observeElements(root = document) {
+    if (!this.observer) {
+      this.showAllAnimations(root);
+      return;
+    }
+
+    const animatedElements = root.querySelectorAll('.fade-in');
+    animatedElements.forEach(element => {
+      this.observer.observe(element);
+    });
+  }
+
+  /**
+   * Fade elements in again, e.g. project cards brought back by a filter
+   * @param {Array<HTMLElement>} elements - Elements to animate
+   */
+  replay(elements) {
+    elements.forEach(element => {
+      element.classList.add('fade-in');
+      element.classList.remove('visible');
+    });
+
+    if (!this.observer) {
+      elements.forEach(element => element.classList.add('visible'));
+      return;
+    }
+
+    // Apply the hidden state before observing, so the transition runs
+    void document.body.offsetHeight;
+    elements.forEach(element => this.observer.observe(element));
+  }
+
+  showAllAnimations(root = document) {
+    const animatedElements = root.querySelectorAll('.fade-in');
+    animatedElements.forEach(element => {
+      element.classList.add('visible');
+    });
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+  }
+}
+
+// ========================================
+// AUTH SESSION
+// ========================================
+
+/**
+ * Unlock records for protection groups. Records live in sessionStorage, or in
+ * localStorage when the visitor chose "Remember on this device", and are kept
+ * in sync across open tabs. Dispatches `protection:authenticated` and
+ * `protection:locked` on document, with `remote: true` for changes made in
+ * another tab. Locks carry a `reason` of 'logout' or 'expired'.
+ */
+class AuthSession {
+  constructor() {
+    this.storageKey = 'portfolio_authenticated';
+    this.sessionExpiry = 24 * 60 * 60 * 1000; // 24 hours
+    this.rememberExpiry = 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.channel = null;
+    this.init();
+  }
+
+  init() {
+    this.setupCrossTabSync();
+  }
+
+  getKey(group) {
+    return `${this.storageKey}:${group}`;
+  }
+
+  getStorage(remember) {
+    return remember ? localStorage : sessionStorage;
+  }
+
+  /**
+   * Read a group's unlock record, dropping it once it has expired
+   * @param {string} group - Protection group
+   * @returns {Object|null} Record with timestamp, contentKey, expiresAt and remember
+   */
+  get(group) {
+    try {
+      const stored = sessionStorage.getItem(this.getKey(group)) || localStorage.getItem(this.getKey(group));
+      if (!stored) return null;
+
+      const record = JSON.parse(stored);
+      if (record.authenticated !== true) return null;
+
+      if (Date.now() > this.getExpiresAt(record)) {
+        this.remove(group);
+        return null;
+      }
+
+      return record;
+    } catch (e) {
+      console.warn('Could not check authentication:', e);
+      return null;
+    }
+  }
+
+  getExpiresAt(record) {
+    const expiry = record.timestamp + (record.remember ? this.rememberExpiry : this.sessionExpiry);
+    return record.expiresAt ? Math.min(expiry, record.expiresAt) : expiry;
+  }
+
+  isAuthenticated(group) {
+    return group === 'public' || this.get(group) !== null;
+  }
+
+  /**
+   * Save an unlock record for a group
+   * @param {string} group - Protection group
+   * @param {Object} [options]
+   * @param {string} [options.contentKey] - Base64 content key for encrypted pages
+   * @param {number} [options.expiresAt] - Hard expiry in ms, e.g. from an invite
+   * @param {boolean} [options.remember] - Keep the record in localStorage
+   */
+  authenticate(group, { contentKey = null, expiresAt = null, remember = false } = {}) {
+    const record = {
+      timestamp: Date.now(),
+      authenticated: true,
+      contentKey,
+      expiresAt,
+      remember
+    };
+
+    this.store(group, record);
+    this.broadcast({ type: 'authenticated', group, record });
+    document.dispatchEvent(new CustomEvent('protection:authenticated', { detail: { group, remote: false } }));
+  }
+
+  /**
+   * Restart a group's session clock. Invite expiry still applies.
+   * @param {string} group - Protection group
+   * @returns {boolean} Whether the session now lasts longer
+   */
+  extend(group) {
+    const record = this.get(group);
+    if (!record || !this.canExtend(record)) return false;
+
+    const extended = { ...record, timestamp: Date.now() };
+    this.store(group, extended);
+    this.broadcast({ type: 'authenticated', group, record: extended });
+    document.dispatchEvent(new CustomEvent('protection:authenticated', { detail: { group, remote: false } }));
+    return true;
+  }
+
+  canExtend(record) {
+    return this.getExpiresAt({ ...record, timestamp: Date.now() }) > this.getExpiresAt(record);
+  }
+
+  logout(group, { broadcast = true } = {}) {
+    this.remove(group);
+
+    if (broadcast) {
+      this.broadcast({ type: 'locked', group });
+    }
+    document.dispatchEvent(new CustomEvent('protection:locked', { detail: { group, remote: false, reason: 'logout' } }));
+  }
+
+  /**
+   * Drop a group's record once its time is up. Every tab runs its own
+   * expiry timer, so nothing is broadcast.
+   * @param {string} group - Protection group
+   */
+  expire(group) {
+    this.remove(group);
+    document.dispatchEvent(new CustomEvent('protection:locked', { detail: { group, remote: false, reason: 'expired' } }));
+  }
+
+  logoutAll() {
+    this.getUnlockedGroups().forEach(group => this.logout(group));
+  }
+
+  getUnlockedGroups() {
+    const prefix = `${this.storageKey}:`;
+    const groups = new Set();
+
+    [sessionStorage, localStorage].forEach(storage => {
+      try {
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          if (key && key.startsWith(prefix)) groups.add(key.slice(prefix.length));
+        }
+      } catch (e) {
+        console.warn('Could not read authentication storage:', e);
+      }
+    });
+
+    return Array.from(groups).filter(group => this.get(group) !== null);
+  }
+
+  store(group, record) {
+    try {
+      // Keep a single record per group, in the storage the visitor chose
+      this.getStorage(!record.remember).removeItem(this.getKey(group));
+      this.getStorage(record.remember).setItem(this.getKey(group), JSON.stringify(record));
+    } catch (e) {
+      console.warn('Could not save authentication:', e);
+    }
+  }
+
+  remove(group) {
+    try {
+      sessionStorage.removeItem(this.getKey(group));
+      localStorage.removeItem(this.getKey(group));
+    } catch (e) {
+      console.warn('Could not clear authentication:', e);
+    }
+  }
+
+  setupCrossTabSync() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel('portfolio-auth');
+      this.channel.addEventListener('message', (e) => {
+        this.handleRemoteChange(e.data);
+      });
+      return;
+    }
+
+    // Fallback: remembered records still sync through storage events
+    window.addEventListener('storage', (e) => {
+      const prefix = `${this.storageKey}:`;
+      if (e.storageArea !== localStorage || !e.key || !e.key.startsWith(prefix)) return;
+
+      const group = e.key.slice(prefix.length);
+      const type = e.newValue ? 'authenticated' : 'locked';
+      document.dispatchEvent(new CustomEvent(`protection:${type}`, { detail: { group, remote: true, reason: 'logout' } }));
+    });
+  }
+
+  broadcast(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  handleRemoteChange({ type, group, record }) {
+    if (type === 'authenticated') {
+      this.store(group, record);
+    } else if (type === 'locked') {
+      this.remove(group);
+    } else {
+      return;
+    }
+
+    document.dispatchEvent(new CustomEvent(`protection:${type}`, { detail: { group, remote: true, reason: 'logout' } }));
+  }
+}
+
+// ========================================
+// AUTH SESSION CONTROLS
+// ========================================
+
+class AuthSessionControls {
+  constructor(session) {
+    this.session = session;
+    this.button = null;
+    this.init();
+  }
+
+  init() {
+    this.setupLockButton();
+    this.updateLockButton();
+
+    document.addEventListener('protection:authenticated', () => this.updateLockButton());
+    document.addEventListener('protection:locked', () => this.updateLockButton());
+  }
+
+  setupLockButton() {
+    const navContainer = document.querySelector('.nav-container');
+    if (!navContainer) return;
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'nav-lock-button';
+    this.button.hidden = true;
+    this.button.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zM9 6c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6z"/>
+      </svg>
+      <span>Lock projects</span>
+    `;
+
+    this.button.addEventListener('click', () => {
+      this.session.logoutAll();
+      announceToScreenReader('Protected projects locked');
+    });
+
+    const toggleButton = navContainer.querySelector('.mobile-menu-toggle');
+    navContainer.insertBefore(this.button, toggleButton);
+  }
+
+  updateLockButton() {
+    if (!this.button) return;
+
+    const unlockedCount = this.session.getUnlockedGroups().length;
+    this.button.hidden = unlockedCount === 0;
+    this.button.setAttribute('aria-label', `Lock ${unlockedCount} unlocked project${unlockedCount === 1 ? '' : 's'} and log out`);
+  }
+}
+
+// ========================================
+// SESSION EXPIRY
+// ========================================
+
+/**
+ * Warns on protected case-study pages shortly before the unlock expires and
+ * offers to extend it. At expiry the session is dropped, which re-locks the
+ * page through PasswordProtectionController.
+ */
+class SessionExpiryController {
+  constructor(session) {
+    this.session = session;
+    this.group = getProtectionGroup(document.body);
+    this.warningLead = 5 * 60 * 1000; // Warn 5 minutes before expiry
+    this.maxTimerDelay = 60 * 60 * 1000; // Re-check at least hourly; long timeouts overflow
+    this.timer = null;
+    this.warning = null;
+    this.isWarningShown = false;
+    this.isDismissed = false;
+    this.init();
+  }
+
+  init() {
+    const isCaseStudy = document.body.classList.contains('case-study-page');
+    if (!isCaseStudy || this.group === 'public') return;
+
+    this.setupWarning();
+    this.checkExpiry();
+
+    document.addEventListener('protection:authenticated', () => this.checkExpiry());
+    document.addEventListener('protection:locked', () => this.checkExpiry());
+
+    // Background tabs throttle timers, so check again when the tab returns
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.checkExpiry();
+    });
+  }
+
+  setupWarning() {
+    this.warning = document.createElement('div');
+    this.warning.className = 'toast session-expiry-warning';
+    this.warning.setAttribute('role', 'region');
+    this.warning.setAttribute('aria-label', 'Session expiry');
+    this.warning.hidden = true;
+    this.warning.innerHTML = `
+      <p class="toast-message session-expiry-message"></p>
+      <div class="toast-actions">
+        <button type="button" class="toast-primary session-expiry-extend">Stay unlocked</button>
+        <button type="button" class="toast-secondary session-expiry-dismiss">Dismiss</button>
+      </div>
+    `;
+
+    this.warning.querySelector('.session-expiry-extend').addEventListener('click', () => this.extendSession());
+    this.warning.querySelector('.session-expiry-dismiss').addEventListener('click', () => {
+      this.isDismissed = true;
+      this.hideWarning();
+    });
+
+    document.body.appendChild(this.warning);
+  }
+
+  checkExpiry() {
+    clearTimeout(this.timer);
+
+    const record = this.session.get(this.group);
+    if (!record) {
+      this.isDismissed = false;
+      this.hideWarning();
+      return;
+    }
+
+    const remaining = this.session.getExpiresAt(record) - Date.now();
+
+    if (remaining <= 0) {
+      this.hideWarning();
+      this.session.expire(this.group);
+      return;
+    }
+
+    if (remaining <= this.warningLead) {
+      this.showWarning(remaining, this.session.canExtend(record));
+      // Tick each second to keep the countdown current
+      this.timer = setTimeout(() => this.checkExpiry(), Math.min(remaining, 1000));
+    } else {
+      this.isDismissed = false;
+      this.hideWarning();
+      this.timer = setTimeout(() => this.checkExpiry(), Math.min(remaining - this.warningLead, this.maxTimerDelay));
+    }
+  }
+
+  /**
+   * Show or update the expiry warning
+   * @param {number} remaining - Milliseconds until the session expires
+   * @param {boolean} canExtend - Whether extending would add time
+   */
+  showWarning(remaining, canExtend) {
+    if (!this.warning || this.isDismissed) return;
+
+    const message = canExtend
+      ? `Your access to this project expires in ${formatDuration(remaining)}.`
+      : `Your invite link expires in ${formatDuration(remaining)}. Enter the password afterwards to keep reading.`;
+
+    this.warning.querySelector('.session-expiry-message').textContent = message;
+    this.warning.querySelector('.session-expiry-extend').hidden = !canExtend;
+
+    if (!this.isWarningShown) {
+      this.isWarningShown = true;
+      this.warning.hidden = false;
+      announceToScreenReader(`${message}${canExtend ? ' Choose Stay unlocked to extend it.' : ''}`, 'assertive');
+    }
+  }
+
+  hideWarning() {
+    if (!this.warning || !this.isWarningShown) return;
+
+    this.isWarningShown = false;
+    this.warning.hidden = true;
+  }
+
+  extendSession() {
+    // The authenticated event re-runs checkExpiry with the new expiry
+    if (this.session.extend(this.group)) {
+      announceToScreenReader('Your access has been extended');
+    }
+  }
+}
+
+// ========================================
+// PROJECT MANIFEST
+// ========================================
+
+/**
+ * Loads data/projects.json, the single list of projects behind the work
+ * grid, the case-study project navigation and sitemap.xml.
+ */
+class ProjectManifest {
+  constructor(url = 'data/projects.json') {
+    this.url = url;
+    this.request = null;
+  }
+
+  /**
+   * Fetch the manifest once and share the result
+   * @returns {Promise<Array<Object>>} Projects in display order
+   */
+  load() {
+    if (!this.request) {
+      this.request = fetch(this.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`${this.url} returned ${response.status}`);
+          return response.json();
+        })
+        .then(manifest => manifest.projects || []);
+    }
+    return this.request;
+  }
+
+  /**
+   * Find the project whose case study is at a path
+   * @param {Array<Object>} projects - Projects from load()
+   * @param {string} pathname - URL path, e.g. "/soteria-case-study.html"
+   * @returns {number} Index of the project, or -1
+   */
+  findIndexByPath(projects, pathname) {
+    // GitHub Pages also serves pages without their .html extension
+    const page = pathname.split('/').pop().replace(/\.html$/, '');
+    return projects.findIndex(project => project.href.replace(/\.html$/, '') === page);
+  }
+}
+
+// ========================================
+// PROJECT CARD INTERACTIONS
+// ========================================
+
+class ProjectCardController {
+  constructor(session) {
+    this.session = session;
+    this.targetUrl = null;
+    this.targetGroup = null;
+    this.returnKey = 'portfolio_return_card';
+    this.headerOffset = 120;
+    this.init();
+  }
+
+  init() {
+    this.setupProjectCards();
+    this.setupReturnToCard();
+  }
+
+  setupProjectCards() {
+    // Cards are written into index.html from data/projects.json by
+    // tools/build-projects.js, so there's nothing to render here
+    this.bindCards(document.querySelectorAll('.project-card'));
+
+    // Refresh lock badges when a group is unlocked or locked, here or in another tab
+    const refreshLockStates = () => {
+      document.querySelectorAll('.project-card').forEach(card => this.updateCardLockState(card));
+    };
+    document.addEventListener('protection:authenticated', refreshLockStates);
+    document.addEventListener('protection:locked', refreshLockStates);
+  }
+
+  bindCards(projectCards) {
+    projectCards.forEach(card => {
+      // Show whether the project needs a password
+      this.updateCardLockState(card);
+
+      // Add click handler
+      card.addEventListener('click', (e) => {
+        this.handleProjectCardClick(e, card);
+      });
+
+      // Add keyboard handler
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.handleProjectCardClick(e, card);
+        }
+      });
+
+      // Add hover effects
+      card.addEventListener('mouseenter', () => {
+        this.handleCardHover(card, true);
+      });
+
+      card.addEventListener('mouseleave', () => {
+        this.handleCardHover(card, false);
+      });
+    });
+  }
+
+  handleProjectCardClick(event, card) {
+    event.preventDefault(); // Prevent default navigation
+    
+    const projectTitle = card.querySelector('.project-title');
+    const projectName = projectTitle ? projectTitle.textContent : 'project';
+    const projectUrl = card.getAttribute('href');
+    
+    // Announce to screen reader
+    announceToScreenReader(`Opening ${projectName} project details`);
+    
+    // Add visual feedback
+    card.style.transform = 'scale(0.98)';
+    setTimeout(() => {
+      card.style.transform = '';
+    }, 150);
+
+    // Store the target URL and protection group for after authentication
+    this.targetUrl = projectUrl;
+    this.targetGroup = getProtectionGroup(card);
+    this.saveReturnCard(card);
+    
+    // Show password modal
+    this.showPasswordModalForProject(card);
+  }
+
+  /**
+   * Bring visitors back to the card they opened, whether they use the back
+   * button or a case study's link to `index.html#project-<id>`
+   */
+  setupReturnToCard() {
+    if (!document.querySelector('.work-grid')) return;
+
+    const hash = window.location.hash.slice(1);
+    const [entry] = performance.getEntriesByType('navigation');
+
+    if (hash.startsWith('project-')) {
+      this.takeReturnCard();
+      this.returnToCard(hash);
+    } else if (entry && entry.type === 'back_forward') {
+      this.returnToCard(this.takeReturnCard());
+    }
+
+    // Pages restored from the back/forward cache don't run init again
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) this.returnToCard(this.takeReturnCard());
+    });
+  }
+
+  saveReturnCard(card) {
+    try {
+      sessionStorage.setItem(this.returnKey, card.id);
+    } catch (e) {
+      console.warn('Could not remember the opened project:', e);
+    }
+  }
+
+  /**
+   * Read and forget the card saved when a project was opened
+   * @returns {string|null} Card id
+   */
+  takeReturnCard() {
+    try {
+      const id = sessionStorage.getItem(this.returnKey);
+      sessionStorage.removeItem(this.returnKey);
+      return id;
+    } catch (e) {
+      console.warn('Could not read the opened project:', e);
+      return null;
+    }
+  }
+
+  returnToCard(id) {
+    const card = id && document.getElementById(id);
+    if (!card || !card.classList.contains('project-card')) return;
+
+    // Keep a restored scroll position when the card is already in view
+    const rect = card.getBoundingClientRect();
+    if (rect.top < this.headerOffset || rect.bottom > window.innerHeight) {
+      card.scrollIntoView({ block: 'center', behavior: 'auto' });
+    }
+    card.focus({ preventScroll: true });
+
+    const title = card.querySelector('.project-title');
+    announceToScreenReader(`Back at ${title ? title.textContent : 'the project'} in Work`);
+  }
+
+  handleCardHover(card, isHovering) {
+    const image = card.querySelector('.project-image-img');
+    if (image) {
+      if (isHovering) {
+        image.style.transform = 'scale(1.02)';
+      } else {
+        image.style.transform = 'scale(1)';
+      }
+    }
+  }
+
+  updateCardLockState(card) {
+    const group = getProtectionGroup(card);
+    let badge = card.querySelector('.project-lock-badge');
+
+    if (group === 'public') {
+      if (badge) badge.remove();
+      card.classList.remove('is-locked');
+      return;
+    }
+
+    const isLocked = !this.session.isAuthenticated(group);
+    card.classList.toggle('is-locked', isLocked);
+
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'project-lock-badge';
+      badge.id = `${card.id}-lock-state`;
+      card.querySelector('.project-image').appendChild(badge);
+      card.setAttribute('aria-describedby', badge.id);
+    }
+
+    badge.innerHTML = `
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="${isLocked
+          ? 'M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zM9 6c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6z'
+          : 'M18 8h-1V6c0-2.76-2.24-5-5-5-2.28 0-4.2 1.53-4.8 3.6l1.93.52C9.48 3.9 10.63 3 12 3c1.66 0 3 1.34 3 3v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2z'}"/>
+      </svg>
+      <span>${isLocked ? 'Password protected' : 'Unlocked'}</span>
+    `;
+  }
+
+  showPasswordModalForProject(card) {
+    // Public projects and unlocked groups navigate directly
+    if (this.session.isAuthenticated(this.targetGroup)) {
+      window.location.href = this.targetUrl;
+      return;
+    }
+
+    // Show password modal, returning focus to the card if it is dismissed
+    const passwordProtectionController = window.passwordProtectionController;
+    if (passwordProtectionController) {
+      passwordProtectionController.showPasswordModal(card);
+    } else {
+      console.error('Password protection is not available');
+    }
+  }
+}
+
+// ========================================
+// WORK FILTERS
+// ========================================
+
+/**
+ * Tag chips above the work grid that narrow it by domain, platform, company
+ * and role, from the `tags` and `company` of each project in the manifest.
+ * Chips in a group widen the match; groups narrow it. The selection lives
+ * in the query string (e.g. `?platform=mobile,web`) so filtered views can be
+ * shared.
+ */
+class WorkFilterController {
+  constructor(manifest, animations) {
+    this.manifest = manifest;
+    this.animations = animations;
+    this.groups = [
+      { key: 'domain', label: 'Domain' },
+      { key: 'platform', label: 'Platform' },
+      { key: 'company', label: 'Company' },
+      { key: 'role', label: 'Role' }
+    ];
+    this.projects = [];
+    this.selected = new Map();
+    this.container = null;
+    this.emptyMessage = null;
+    this.init();
+  }
+
+  init() {
+    const grid = document.querySelector('.work-grid');
+    if (!grid) return;
+
+    this.manifest.load()
+      .then(projects => {
+        this.projects = projects;
+        this.readQuery();
+        this.render(grid);
+        this.apply({ announce: false, animate: false });
+      })
+      .catch(error => {
+        console.warn('Could not load the project manifest, work filters are unavailable:', error);
+      });
+  }
+
+  /**
+   * Tags of a project in one group
+   * @param {Object} project - Project from data/projects.json
+   * @param {string} key - Group key
+   * @returns {Array<string>} Tag labels
+   */
+  getTags(project, key) {
+    if (key === 'company') return [project.company];
+    return (project.tags && project.tags[key]) || [];
+  }
+
+  /**
+   * Chips for each group, in order of first appearance. Groups where every
+   * project shares one tag can't narrow anything and are left out.
+   * @returns {Array<{key: string, label: string, chips: Array<{value: string, label: string}>}>} Groups
+   */
+  getChipGroups() {
+    return this.groups
+      .map(group => {
+        const chips = new Map();
+        this.projects.forEach(project => {
+          this.getTags(project, group.key).forEach(label => {
+            const value = slugify(label);
+            if (value && !chips.has(value)) chips.set(value, { value, label });
+          });
+        });
+        return { ...group, chips: Array.from(chips.values()) };
+      })
+      .filter(group => group.chips.length > 1);
+  }
+
+  readQuery() {
+    const params = new URLSearchParams(window.location.search);
+    this.selected.clear();
+
+    this.getChipGroups().forEach(group => {
+      const known = group.chips.map(chip => chip.value);
+      const values = (params.get(group.key) || '').split(',').filter(value => known.includes(value));
+      if (values.length) this.selected.set(group.key, new Set(values));
+    });
+  }
+
+  writeQuery() {
+    const params = new URLSearchParams(window.location.search);
+
+    this.groups.forEach(({ key }) => {
+      const values = this.selected.get(key);
+      if (values && values.size) {
+        params.set(key, Array.from(values).join(','));
+      } else {
+        params.delete(key);
+      }
+    });
+
+    // Commas read better than %2C in a shared link
+    const query = params.toString().replace(/%2C/g, ',');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    history.replaceState(history.state, '', url);
+  }
+
+  render(grid) {
+    const groups = this.getChipGroups();
+    if (!groups.length) return;
+
+    this.container = document.createElement('div');
+    this.container.className = 'work-filters';
+    this.container.setAttribute('role', 'group');
+    this.container.setAttribute('aria-label', 'Filter projects');
+    this.container.innerHTML = `
+      ${groups.map(group => `
+        <div class="work-filter-group" role="group" aria-labelledby="work-filter-${group.key}">
+          <span class="work-filter-label" id="work-filter-${group.key}">${group.label}</span>
+          ${group.chips.map(chip => `
+            <button type="button" class="filter-chip" data-filter-group="${group.key}" data-filter-value="${escapeHTML(chip.value)}" aria-pressed="false">${escapeHTML(chip.label)}</button>
+          `).join('')}
+        </div>
+      `).join('')}
+      <button type="button" class="work-filters-clear" hidden>Clear filters</button>
+    `;
+
+    this.emptyMessage = document.createElement('p');
+    this.emptyMessage.className = 'work-filter-empty';
+    this.emptyMessage.textContent = 'No projects match these filters.';
+    this.emptyMessage.hidden = true;
+
+    this.container.addEventListener('click', (e) => {
+      const chip = e.target.closest('.filter-chip');
+      if (chip) {
+        this.toggle(chip.dataset.filterGroup, chip.dataset.filterValue);
+      } else if (e.target.closest('.work-filters-clear')) {
+        this.clear();
+      }
+    });
+
+    grid.before(this.container);
+    grid.after(this.emptyMessage);
+  }
+
+  toggle(key, value) {
+    const values = this.selected.get(key) || new Set();
+    if (values.has(value)) {
+      values.delete(value);
+    } else {
+      values.add(value);
+    }
+
+    if (values.size) {
+      this.selected.set(key, values);
+    } else {
+      this.selected.delete(key);
+    }
+
+    this.writeQuery();
+    this.apply();
+  }
+
+  clear() {
+    this.selected.clear();
+    this.writeQuery();
+    this.apply();
+
+    // The clear button hides itself; keep focus in the filters
+    const firstChip = this.container.querySelector('.filter-chip');
+    if (firstChip) firstChip.focus();
+  }
+
+  matches(project) {
+    return Array.from(this.selected).every(([key, values]) =>
+      this.getTags(project, key).some(label => values.has(slugify(label)))
+    );
+  }
+
+  /**
+   * Show the cards that match the selection
+   * @param {{announce: boolean, animate: boolean}} [options] - Whether to
+   *   announce the result count and fade newly shown cards in
+   */
+  apply({ announce = true, animate = true } = {}) {
+    const shown = [];
+    let count = 0;
+
+    this.projects.forEach(project => {
+      const card = document.getElementById(`project-${project.id}`);
+      if (!card) return;
+
+      const visible = this.matches(project);
+      if (visible) {
+        count++;
+        if (card.hidden) shown.push(card);
+      }
+      card.hidden = !visible;
+    });
+
+    this.container.querySelectorAll('.filter-chip').forEach(chip => {
+      const values = this.selected.get(chip.dataset.filterGroup);
+      chip.setAttribute('aria-pressed', String(Boolean(values && values.has(chip.dataset.filterValue))));
+    });
+    this.container.querySelector('.work-filters-clear').hidden = this.selected.size === 0;
+    this.emptyMessage.hidden = count > 0;
+
+    if (animate && shown.length) this.animations.replay(shown);
+
+    if (announce) {
+      const total = this.projects.length;
+      announceToScreenReader(this.selected.size
+        ? `Showing ${count} of ${total} project${total === 1 ? '' : 's'}`
+        : `Showing all ${total} project${total === 1 ? '' : 's'}`);
+    }
+  }
+}
+
+// ========================================
+// PROJECT NAVIGATION
+// ========================================
+
+/**
+ * Links each case study to the previous and next project, in the order of
+ * data/projects.json, and points its links back to the work grid at the
+ * project's own card.
+ */
+class ProjectNavigationController {
+  constructor(manifest) {
+    this.manifest = manifest;
+    this.init();
+  }
+
+  init() {
+    if (!document.body.classList.contains('case-study-page')) return;
+    this.render();
+  }
+
+  /**
+   * Add the navigation after the case-study content; re-run once decrypted
+   */
+  render() {
+    this.manifest.load()
+      .then(projects => {
+        const index = this.manifest.findIndexByPath(projects, window.location.pathname);
+        if (index === -1) return;
+
+        this.updateBackLinks(projects[index]);
+
+        // Encrypted content gets its navigation once it's decrypted
+        const container = document.querySelector('.main .container');
+        if (!container || container.querySelector('.project-pagination')) return;
+
+        const previous = projects[index - 1];
+        const next = projects[index + 1];
+        if (!previous && !next) return;
+
+        const nav = document.createElement('nav');
+        nav.className = 'project-pagination';
+        nav.setAttribute('aria-label', 'More projects');
+        nav.innerHTML = this.renderLink(previous, 'previous') + this.renderLink(next, 'next');
+        container.appendChild(nav);
+      })
+      .catch(error => {
+        console.warn('Could not load the project manifest for project navigation:', error);
+      });
+  }
+
+  /**
+   * Point the case study's back link at this project's card. The header's
+   * Work link keeps going to the top of the grid.
+   * @param {Object} project - Current project
+   */
+  updateBackLinks(project) {
+    document.querySelectorAll('.case-study-back').forEach(link => {
+      link.setAttribute('href', `index.html#project-${project.id}`);
+    });
+  }
+
+  renderLink(project, direction) {
+    if (!project) return '';
+
+    return `
+      <a href="${escapeHTML(project.href)}" class="project-pagination-link project-pagination-${direction}" rel="${direction === 'next' ? 'next' : 'prev'}">
+        <span class="project-pagination-label">${direction === 'next' ? 'Next project' : 'Previous project'}</span>
+        <span class="project-pagination-title">${escapeHTML(project.eyebrow)}</span>
+      </a>
+    `;
+  }
+}
+
+// ========================================
+// MOBILE NAVIGATION
+// ========================================
+
+class MobileNavigationController {
+  constructor() {
+    this.isOpen = false;
+    this.init();
+  }
+
+  init() {
+    this.setupMobileMenu();
+    this.setupKeyboardNavigation();
+    this.setupClickOutside();
+  }
+
+  setupMobileMenu() {
+    const toggleButton = document.querySelector('.mobile-menu-toggle');
+    const navMenu = document.querySelector('.nav-menu');
+    
+    if (toggleButton && navMenu) {
+      toggleButton.addEventListener('click', () => {
+        this.toggleMobileMenu();
+      });
+
+      // Close menu when clicking on nav links
+      const navLinks = navMenu.querySelectorAll('.nav-link');
+      navLinks.forEach(link => {
+        link.addEventListener('click', () => {
+          this.closeMobileMenu();
+        });
+      });
+    }
+  }
+
+  setupKeyboardNavigation() {
+    const toggleButton = document.querySelector('.mobile-menu-toggle');
+    
+    if (toggleButton) {
+      toggleButton.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.toggleMobileMenu();
+        }
+        
+        if (e.key === 'Escape') {
+          this.closeMobileMenu();
+        }
+      });
+    }
+
+    // Handle escape key for closing menu
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.closeMobileMenu();
+      }
+    });
+  }
+
+  setupClickOutside() {
+    document.addEventListener('click', (e) => {
+      const navHeader = document.querySelector('.nav-header');
+      const toggleButton = document.querySelector('.mobile-menu-toggle');
+      
+      if (this.isOpen && 
+          !navHeader.contains(e.target) && 
+          e.target !== toggleButton) {
+        this.closeMobileMenu();
+      }
+    });
+  }
+
+  toggleMobileMenu() {
+    if (this.isOpen) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+
+  openMobileMenu() {
+    const toggleButton = document.querySelector('.mobile-menu-toggle');
+    const navMenu = document.querySelector('.nav-menu');
+    
+    if (toggleButton && navMenu) {
+      this.isOpen = true;
+      toggleButton.setAttribute('aria-expanded', 'true');
+      navMenu.classList.add('mobile-open');
+      
+      // Announce to screen readers
+      announceToScreenReader('Navigation menu opened');
+      
+      // Prevent any automatic focus on nav links to avoid blue border
+      setTimeout(() => {
+        const navLinks = navMenu.querySelectorAll('.nav-link');
+        navLinks.forEach(link => {
+          if (document.activeElement === link) {
+            link.blur();
+          }
+        });
+      }, 0);
+    }
+  }
+
+  closeMobileMenu() {
+    const toggleButton = document.querySelector('.mobile-menu-toggle');
+    const navMenu = document.querySelector('.nav-menu');
+    
+    if (toggleButton && navMenu) {
+      this.isOpen = false;
+      toggleButton.setAttribute('aria-expanded', 'false');
+      navMenu.classList.remove('mobile-open');
+      
+      // Announce to screen readers
+      announceToScreenReader('Navigation menu closed');
+      
+      // Return focus to toggle button
+      toggleButton.focus();
+    }
+  }
+}
+
+// ========================================
+// CONTACT EMAIL COPY FUNCTIONALITY
+// ========================================
+
+class ContactController {
+  constructor() {
+    // Obfuscated email to prevent basic scraping
+    this.email = this.decodeEmail('YW5kcmV3bWFsb25lZGVzaWduQGdtYWlsLmNvbQ==');
+    this.originalText = 'Contact';
+    this.lastClickTime = 0;
+    this.clickCount = 0;
+    this.popover = null;
+    this.popoverLink = null;
+    this.init();
+  }
+
+  // Simple base64 decoding for email obfuscation
+  decodeEmail(encoded) {
+    return atob(encoded);
+  }
+
+  // Additional protection: Check if running in a legitimate browser
+  isLegitimateBrowser() {
+    // Basic checks to detect automated tools
+    return (
+      typeof window !== 'undefined' &&
+      typeof document !== 'undefined' &&
+      navigator.userAgent &&
+      !navigator.userAgent.includes('bot') &&
+      !navigator.userAgent.includes('crawler') &&
+      !navigator.userAgent.includes('spider')
+    );
+  }
+
+  init() {
+    this.setupContactLink();
+  }
+
+  setupContactLink() {
+    // Handle navigation contact link
+    const contactLink = document.querySelector('.contact-copy-link');
+    
+    if (contactLink) {
+      contactLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleContactClick(e);
+      });
+
+      contactLink.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.handleContactClick(e);
+        }
+      });
+    }
+  }
+
+  async handleContactClick(event) {
+    const link = event.currentTarget;
+    const now = Date.now();
+    
+    // Basic protection: Only work in legitimate browsers
+    if (!this.isLegitimateBrowser()) {
+      console.warn('Contact functionality blocked for automated tools');
+      return;
+    }
+    
+    // Rate limiting: Prevent rapid clicks (likely scraping)
+    if (now - this.lastClickTime < 1000) { // 1 second cooldown
+      this.clickCount++;
+      if (this.clickCount > 3) {
+        console.warn('Too many rapid clicks detected - blocking');
+        return;
+      }
+    } else {
+      this.clickCount = 0; // Reset counter if enough time passed
+    }
+    this.lastClickTime = now;
+    
+    const copied = await copyText(this.email);
+
+    // Add visual feedback
+    link.style.transform = 'scale(0.95)';
+    setTimeout(() => {
+      link.style.transform = '';
+    }, 150);
+
+    if (copied) {
+      // Announce to screen reader
+      announceToScreenReader('Email address copied to clipboard');
+
+      // Smooth transition to "Copied!"
+      this.showCopiedState(link);
+    } else {
+      // Let the visitor copy or use the address themselves
+      this.showEmailPopover(link);
+    }
+  }
+
+  setupEmailPopover() {
+    this.popover = document.createElement('div');
+    this.popover.className = 'contact-popover';
+    this.popover.setAttribute('role', 'dialog');
+    this.popover.setAttribute('aria-labelledby', 'contact-popover-title');
+    this.popover.hidden = true;
+    this.popover.innerHTML = `
+      <p id="contact-popover-title" class="contact-popover-title">Couldn't copy automatically. My email address is:</p>
+      <input type="text" class="contact-popover-email" readonly aria-labelledby="contact-popover-title">
+      <div class="contact-popover-actions">
+        <a class="btn-primary contact-popover-mailto">Email me</a>
+        <button type="button" class="contact-popover-copy">Copy</button>
+      </div>
+      <p class="contact-popover-status" role="status"></p>
+    `;
+    document.body.appendChild(this.popover);
+
+    this.popoverEmail = this.popover.querySelector('.contact-popover-email');
+    this.popoverStatus = this.popover.querySelector('.contact-popover-status');
+    this.popoverCopyButton = this.popover.querySelector('.contact-popover-copy');
+
+    this.popoverEmail.addEventListener('focus', () => this.popoverEmail.select());
+    this.popoverCopyButton.addEventListener('click', () => this.copyFromPopover());
+
+    this.popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hideEmailPopover();
+      }
+    });
+
+    // Close when the visitor moves on
+    document.addEventListener('click', (e) => {
+      if (!this.popover.hidden && !this.popover.contains(e.target) && !e.target.closest('.contact-copy-link')) {
+        this.hideEmailPopover({ returnFocus: false });
+      }
+    });
+    this.popover.addEventListener('focusout', (e) => {
+      if (e.relatedTarget && !this.popover.contains(e.relatedTarget)) {
+        this.hideEmailPopover({ returnFocus: false });
+      }
+    });
+  }
+
+  /**
+   * Show the address next to the link it was requested from
+   * @param {HTMLElement} link - Contact link
+   */
+  showEmailPopover(link) {
+    if (!this.popover) this.setupEmailPopover();
+
+    this.popoverLink = link;
+    this.popoverEmail.value = this.email;
+    this.popoverEmail.size = this.email.length;
+    this.popover.querySelector('.contact-popover-mailto').href = `mailto:${this.email}`;
+    this.popoverStatus.textContent = '';
+    this.popoverCopyButton.textContent = 'Copy';
+    this.popover.hidden = false;
+    link.setAttribute('aria-expanded', 'true');
+
+    // Below the link, kept inside the viewport
+    const rect = link.getBoundingClientRect();
+    const width = this.popover.offsetWidth;
+    const left = Math.min(Math.max(8, rect.right - width), window.innerWidth - width - 8);
+    this.popover.style.top = `${rect.bottom + 8}px`;
+    this.popover.style.left = `${Math.max(8, left)}px`;
+
+    this.popoverEmail.focus();
+    announceToScreenReader('Unable to copy the email address automatically. It is selected so you can copy it.', 'assertive');
+  }
+
+  hideEmailPopover({ returnFocus = true } = {}) {
+    if (!this.popover || this.popover.hidden) return;
+
+    this.popover.hidden = true;
+    if (this.popoverLink) {
+      this.popoverLink.setAttribute('aria-expanded', 'false');
+      if (returnFocus) this.popoverLink.focus();
+    }
+  }
+
+  async copyFromPopover() {
+    // A fresh click is a new user gesture, so copying may work this time
+    if (await copyText(this.email)) {
+      this.popoverCopyButton.textContent = 'Copied!';
+      this.popoverStatus.textContent = 'Email address copied to clipboard';
+      return;
+    }
+
+    this.popoverEmail.focus();
+    this.popoverStatus.textContent = `Copying is blocked in this browser. Press ${/Mac|iPhone|iPad/.test(navigator.platform) ? 'Cmd' : 'Ctrl'}+C to copy the selected address.`;
+  }
+
+  showCopiedState(link) {
+    // Store original text content
+    const originalText = link.textContent.trim();
+    
+    // Remove focus to clear the blue outline
+    link.blur();
+    
+    // Add copied class for styling and animation
+    link.classList.add('copied');
+    
+    // Change text to "Copied!"
+    link.textContent = 'Copied!';
+    
+    // Reset after 1.5 seconds (snappier transition)
+    setTimeout(() => {
+      // Remove copied class and reset text
+      link.classList.remove('copied');
+      link.textContent = originalText;
+    }, 1500);
+  }
+}
+
+// ========================================
+// LINKEDIN BUTTON INTERACTIONS
+// ========================================
+
+class LinkedInButtonController {
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.setupLinkedInButton();
+  }
+
+  setupLinkedInButton() {
+    const linkedInButton = document.querySelector('.btn-linkedin');
+    
+    if (linkedInButton) {
+      linkedInButton.addEventListener('click', (e) => {
+        this.handleLinkedInClick(e);
+      });
+
+      linkedInButton.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.handleLinkedInClick(e);
+        }
+      });
+    }
+  }
+
+  handleLinkedInClick(event) {
+    // Announce to screen reader
+    announceToScreenReader('Opening LinkedIn profile in new tab');
+    
+    // Add visual feedback
+    const button = event.currentTarget;
+    button.style.transform = 'scale(0.95)';
+    setTimeout(() => {
+      button.style.transform = '';
+    }, 150);
+
+    // In a real implementation, this would open the LinkedIn profile
+    // For demo purposes, we'll just log the action
+    console.log('Opening LinkedIn profile');
+    
+    // Uncomment the line below to actually open LinkedIn
     // window.open('https://linkedin.com/in/andrewmalone', '_blank', 'noopener,noreferrer');
   }
 }
 
 // ========================================
-// ACCESSIBILITY ENHANCEMENTS
+// ACCESSIBILITY ENHANCEMENTS
+// ========================================
+
+class AccessibilityEnhancer {
+  constructor(shortcuts) {
+    this.shortcuts = shortcuts;
+    this.init();
+  }
+
+  init() {
+    this.setupFocusManagement();
+    this.setupReducedMotion();
+    this.setupHighContrast();
+    this.setupScreenReaderEnhancements();
+    this.setupKeyboardNavigation();
+    this.setupARIALabels();
+  }
+
+  setupFocusManagement() {
+    // Track focus changes for better UX
+    document.addEventListener('focusin', (e) => {
+      e.target.classList.add('focused');
+    });
+    
+    document.addEventListener('focusout', (e) => {
+      e.target.classList.remove('focused');
+    });
+  }
+
+  setupReducedMotion() {
+    // Respect user's motion preferences
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    if (prefersReducedMotion.matches) {
+      document.documentElement.style.setProperty('--transition-fast', '0ms');
+      document.documentElement.style.setProperty('--transition-base', '0ms');
+      document.documentElement.style.setProperty('--transition-slow', '0ms');
+    }
+    
+    // Listen for changes
+    prefersReducedMotion.addEventListener('change', (e) => {
+      if (e.matches) {
+        document.documentElement.style.setProperty('--transition-fast', '0ms');
+        document.documentElement.style.setProperty('--transition-base', '0ms');
+        document.documentElement.style.setProperty('--transition-slow', '0ms');
+      } else {
+        document.documentElement.style.setProperty('--transition-fast', '150ms ease-in-out');
+        document.documentElement.style.setProperty('--transition-base', '250ms ease-in-out');
+        document.documentElement.style.setProperty('--transition-slow', '350ms ease-in-out');
+      }
+    });
+  }
+
+  setupHighContrast() {
+    // Detect high contrast mode
+    const prefersHighContrast = window.matchMedia('(prefers-contrast: high)');
+    
+    if (prefersHighContrast.matches) {
+      document.documentElement.classList.add('high-contrast');
+    }
+    
+    // Listen for changes
+    prefersHighContrast.addEventListener('change', (e) => {
+      if (e.matches) {
+        document.documentElement.classList.add('high-contrast');
+      } else {
+        document.documentElement.classList.remove('high-contrast');
+      }
+    });
+  }
+
+  setupScreenReaderEnhancements() {
+    // Add live regions for dynamic content
+    this.createLiveRegion();
+    
+    // Enhance image descriptions
+    this.enhanceImageDescriptions();
+    
+    // Add landmark navigation
+    this.addLandmarkNavigation();
+    
+    // Setup reading order
+    this.setupReadingOrder();
+  }
+
+  createLiveRegion() {
+    // Create a live region for announcements
+    const liveRegion = document.createElement('div');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    liveRegion.id = 'live-region';
+    document.body.appendChild(liveRegion);
+  }
+
+  enhanceImageDescriptions(root = document) {
+    // Add enhanced descriptions for complex images
+    const images = root.querySelectorAll('img[alt]');
+    images.forEach(img => {
+      const alt = img.getAttribute('alt');
+      if (alt && alt.length > 100) {
+        // For complex images, add a detailed description
+        img.setAttribute('aria-describedby', `desc-${img.id || Math.random().toString(36).substr(2, 9)}`);
+        
+        const description = document.createElement('div');
+        description.id = img.getAttribute('aria-describedby');
+        description.className = 'sr-only';
+        description.textContent = alt;
+        img.parentNode.insertBefore(description, img.nextSibling);
+      }
+    });
+  }
+
+  addLandmarkNavigation() {
+    // Give landmarks ids that stay the same between visits
+    const landmarks = document.querySelectorAll('main, nav, section, article, aside, header, footer');
+    landmarks.forEach(landmark => this.ensureLandmarkId(landmark));
+
+    this.renderSkipMenu();
+
+    // Pick up landmarks added since, such as the table of contents, before
+    // the first Tab lands on the menu
+    const handleFirstTab = (e) => {
+      if (e.key !== 'Tab') return;
+      document.removeEventListener('keydown', handleFirstTab);
+      this.renderSkipMenu();
+    };
+    document.addEventListener('keydown', handleFirstTab);
+
+    // Locked case studies only have content to skip to once unlocked
+    document.addEventListener('protectedcontent:visible', () => this.renderSkipMenu());
+  }
+
+  /**
+   * Name given to an element by aria-label or aria-labelledby
+   * @param {HTMLElement} element - Element to name
+   * @returns {string} Label, or '' if it has none
+   */
+  getAriaLabel(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    const labelElement = labelledBy && document.getElementById(labelledBy);
+    return (element.getAttribute('aria-label') || (labelElement ? labelElement.textContent : '')).trim();
+  }
+
+  ensureLandmarkId(landmark) {
+    return ensureElementId(landmark, this.getAriaLabel(landmark), landmark.tagName.toLowerCase());
+  }
+
+  /**
+   * Landmarks and the page content's h2 headings, in document order
+   * @returns {Array<{element: HTMLElement, label: string, isHeading: boolean}>} Skip targets
+   */
+  getSkipTargets() {
+    const defaultLabels = { main: 'Main content', nav: 'Navigation', aside: 'Related content', footer: 'Footer' };
+    const headingLabels = new Set();
+    const targets = [];
+
+    document.querySelectorAll('main, nav, aside, footer, section[aria-label], section[aria-labelledby], h2').forEach(element => {
+      if (element.closest('.skip-menu') || element.getClientRects().length === 0) return;
+
+      const tag = element.tagName.toLowerCase();
+
+      if (tag === 'h2') {
+        // Skip headings outside the content and those already naming a section
+        if (!element.closest('main') || headingLabels.has(element.id)) return;
+        targets.push({ element, label: element.getAttribute('aria-label') || element.textContent.trim(), isHeading: true });
+        return;
+      }
+
+      // Footers of sections aren't page landmarks
+      if (tag === 'footer' && element.parentElement.closest('main, nav, aside, section, article')) return;
+
+      const heading = tag !== 'main' && element.querySelector('h1, h2, h3, h4, h5, h6');
+      const label = this.getAriaLabel(element) || (heading && heading.textContent.trim()) || defaultLabels[tag];
+      if (!label) return;
+
+      if (element.hasAttribute('aria-labelledby')) headingLabels.add(element.getAttribute('aria-labelledby'));
+      targets.push({ element, label, isHeading: false });
+    });
+
+    return targets;
+  }
+
+  /**
+   * Skip menu shown at the top of the page on the first Tab, replacing the
+   * static skip links. Re-run when the page's landmarks change.
+   */
+  renderSkipMenu() {
+    let menu = document.querySelector('.skip-menu');
+
+    // Don't rebuild it under the visitor's focus
+    if (menu && menu.contains(document.activeElement)) return;
+
+    const targets = this.getSkipTargets();
+    if (!targets.length) {
+      if (menu) menu.hidden = true;
+      return;
+    }
+
+    if (!menu) {
+      menu = document.createElement('nav');
+      menu.className = 'skip-menu';
+      menu.setAttribute('aria-label', 'Skip links');
+      menu.addEventListener('click', (e) => {
+        const link = e.target.closest('.skip-menu-link');
+        const target = link && document.getElementById(decodeURIComponent(link.hash.slice(1)));
+        if (!target) return;
+
+        e.preventDefault();
+        history.pushState(history.state, '', link.hash);
+        this.focusLandmark(target, link.textContent);
+      });
+
+      document.body.prepend(menu);
+      document.querySelectorAll('.skip-link').forEach(link => link.remove());
+    }
+
+    menu.hidden = false;
+    menu.innerHTML = `
+      <p class="skip-menu-title">Skip to</p>
+      <ul class="skip-menu-list">
+        ${targets.map(({ element, label, isHeading }) => {
+          const id = isHeading ? ensureHeadingId(element) : this.ensureLandmarkId(element);
+          return `
+            <li class="skip-menu-item${isHeading ? ' is-heading' : ''}">
+              <a href="#${escapeHTML(id)}" class="skip-menu-link">${escapeHTML(label)}</a>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  }
+
+  setupReadingOrder() {
+    // Ensure logical reading order
+    let headingLevel = 0;
+    
+    getHeadingOutline().forEach(({ element, level }) => {
+      if (level > headingLevel + 1) {
+        console.warn('Heading level skipped:', element);
+      }
+      headingLevel = level;
+    });
+  }
+
+  setupKeyboardNavigation() {
+    const group = 'Go to';
+
+    this.shortcuts.register('g h', 'Homepage', () => {
+      window.location.href = '/';
+    }, { group });
+
+    this.shortcuts.register('g w', 'Work', () => {
+      const work = document.getElementById('work-title');
+      if (work) {
+        this.focusLandmark(work, 'Work');
+      } else {
+        window.location.href = 'index.html#work-title';
+      }
+    }, { group });
+
+    this.shortcuts.register('g m', 'Main content', () => {
+      this.focusLandmark(document.querySelector('main'), 'main content');
+    }, { group });
+
+    this.shortcuts.register('g n', 'Navigation', () => {
+      // On small screens the links are behind the menu button
+      const link = Array.from(document.querySelectorAll('.nav-menu .nav-link'))
+        .find(element => element.getClientRects().length > 0);
+      const target = link || document.querySelector('.mobile-menu-toggle');
+      if (!target) return;
+
+      target.focus();
+      announceToScreenReader('Moved to navigation');
+    }, { group });
+
+    this.shortcuts.register('g f', 'Footer', () => {
+      this.focusLandmark(document.querySelector('footer'), 'footer');
+    }, { group });
+  }
+
+  /**
+   * Move focus to a landmark or heading, making it focusable from script only
+   * @param {HTMLElement|null} element - Element to move to
+   * @param {string} label - Name to announce
+   */
+  focusLandmark(element, label) {
+    if (!element) return;
+
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+    element.scrollIntoView({ block: 'start' });
+    element.focus({ preventScroll: true });
+    announceToScreenReader(`Moved to ${label}`);
+  }
+
+  setupARIALabels() {
+    // Add ARIA labels to interactive elements
+    const buttons = document.querySelectorAll('button:not([aria-label]):not([aria-labelledby])');
+    buttons.forEach(button => {
+      if (!button.textContent.trim()) {
+        button.setAttribute('aria-label', 'Button');
+      }
+    });
+    
+    // Add ARIA labels to links without descriptive text
+    const links = document.querySelectorAll('a:not([aria-label]):not([aria-labelledby])');
+    links.forEach(link => {
+      if (!link.textContent.trim() && !link.querySelector('img[alt]')) {
+        link.setAttribute('aria-label', 'Link');
+      }
+    });
+    
+    // Add ARIA descriptions for complex interactions
+    const projectCards = document.querySelectorAll('.project-card:not([aria-label])');
+    projectCards.forEach(card => {
+      const title = card.querySelector('.project-title');
+      const company = card.querySelector('.project-company');
+      if (title && company) {
+        card.setAttribute('aria-label', `View ${title.textContent} project at ${company.textContent}`);
+      }
+    });
+  }
+}
+
+// ========================================
+// SECTION LINKS
+// ========================================
+
+/**
+ * Deep links into case studies: stable ids on section headings, a "copy
+ * link" button beside each section heading, and a scroll to the linked
+ * section once the content is visible, which for protected pages is after
+ * the password gate.
+ */
+class SectionLinksController {
+  constructor() {
+    this.headingSelector = 'h2.section-heading, h3.subsection-heading';
+    this.copiedDuration = 2000;
+    this.init();
+  }
+
+  init() {
+    if (!document.body.classList.contains('case-study-page')) return;
+
+    this.setupHeadings();
+
+    if (isPageContentVisible()) {
+      this.scrollToHash();
+    } else {
+      document.addEventListener('protectedcontent:visible', () => this.scrollToHash(), { once: true });
+    }
+  }
+
+  /**
+   * Add ids and copy buttons; re-run once decrypted
+   * @param {Document|HTMLElement} root - Container to enhance
+   */
+  setupHeadings(root = document) {
+    // Document order keeps suffixes for repeated headings stable
+    getHeadingOutline(root, this.headingSelector).forEach(({ element, level }) => {
+      ensureHeadingId(element);
+      if (level === 2) this.addCopyButton(element);
+    });
+  }
+
+  addCopyButton(heading) {
+    if (heading.querySelector('.heading-link')) return;
+
+    // Keep the button out of the heading's accessible name
+    const title = heading.textContent.trim();
+    heading.setAttribute('aria-label', title);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'heading-link';
+    button.setAttribute('aria-label', `Copy link to ${title}`);
+    button.innerHTML = `
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/>
+      </svg>
+    `;
+    button.addEventListener('click', () => this.copyLink(heading, button));
+    heading.appendChild(button);
+  }
+
+  async copyLink(heading, button) {
+    const url = `${window.location.origin}${window.location.pathname}#${heading.id}`;
+
+    // Put the link in the address bar too, without jumping
+    history.replaceState(history.state, '', `#${heading.id}`);
+
+    if (await copyText(url)) {
+      button.classList.add('is-copied');
+      setTimeout(() => button.classList.remove('is-copied'), this.copiedDuration);
+      announceToScreenReader(`Link to ${heading.getAttribute('aria-label')} copied`);
+    } else {
+      announceToScreenReader('Could not copy the link. It is in the address bar instead.', 'assertive');
+    }
+  }
+
+  /**
+   * Jump to the section in the URL. The browser can't do it on load when the
+   * content is still hidden or encrypted, or when the id was added by script.
+   */
+  scrollToHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const target = id && document.getElementById(id);
+    const main = document.querySelector('.main');
+    if (!target || !main || !main.contains(target)) return;
+
+    // scroll-margin-top keeps the heading clear of the fixed header
+    target.scrollIntoView({ block: 'start', behavior: 'auto' });
+  }
+}
+
+// ========================================
+// TABLE OF CONTENTS
+// ========================================
+
+/**
+ * Builds an "On this page" navigation for case studies from their section
+ * and subsection headings, highlights the section being read and shows a
+ * reading-progress bar. Sticky beside the content on wide screens and a
+ * collapsible panel under the header on smaller ones.
+ */
+class TableOfContentsController {
+  constructor() {
+    this.headingSelector = 'h2.section-heading, h3.subsection-heading';
+    this.headerOffset = 120; // Fixed nav height plus breathing room
+    this.nav = null;
+    this.toggle = null;
+    this.links = new Map();
+    this.headings = [];
+    this.observer = null;
+    this.progressBar = null;
+    this.progressFrame = null;
+    this.init();
+  }
+
+  init() {
+    if (!document.body.classList.contains('case-study-page')) return;
+
+    this.build();
+  }
+
+  /**
+   * Build, or rebuild once protected content has been decrypted
+   */
+  build() {
+    const content = document.querySelector('.case-study-content');
+    if (!content || this.nav) return;
+
+    const outline = getHeadingOutline(content, this.headingSelector);
+    if (outline.length < 2) return;
+
+    this.headings = outline.map(({ element }) => element);
+    this.createNav(content, outline);
+    this.setupScrollspy();
+    this.setupProgressBar(content);
+  }
+
+  createNav(content, outline) {
+    this.nav = document.createElement('nav');
+    this.nav.className = 'case-study-toc';
+    this.nav.setAttribute('aria-label', 'On this page');
+    this.nav.innerHTML = `
+      <button type="button" class="toc-toggle" aria-expanded="false" aria-controls="toc-panel">
+        <span class="toc-toggle-label">On this page</span>
+        <span class="toc-current" aria-hidden="true"></span>
+      </button>
+      <div class="toc-panel" id="toc-panel">
+        <p class="toc-title" aria-hidden="true">On this page</p>
+        <ol class="toc-list"></ol>
+      </div>
+    `;
+
+    const list = this.nav.querySelector('.toc-list');
+    let currentGroup = null;
+
+    outline.forEach(({ element, level }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+
+      link.href = `#${ensureHeadingId(element)}`;
+      link.className = `toc-link toc-link-level-${level}`;
+      link.textContent = element.textContent.trim();
+      item.appendChild(link);
+      this.links.set(element, link);
+
+      // Nest subsections under the section before them
+      if (level === 2 || !currentGroup) {
+        list.appendChild(item);
+        currentGroup = level === 2 ? item : null;
+      } else {
+        let sublist = currentGroup.querySelector('ol');
+        if (!sublist) {
+          sublist = document.createElement('ol');
+          currentGroup.appendChild(sublist);
+        }
+        sublist.appendChild(item);
+      }
+    });
+
+    this.toggle = this.nav.querySelector('.toc-toggle');
+    this.toggle.addEventListener('click', () => {
+      this.setExpanded(this.toggle.getAttribute('aria-expanded') !== 'true');
+    });
+
+    list.addEventListener('click', (e) => {
+      if (e.target.closest('.toc-link')) this.setExpanded(false);
+    });
+
+    this.nav.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.toggle.getAttribute('aria-expanded') === 'true') {
+        this.setExpanded(false);
+        this.toggle.focus();
+      }
+    });
+
+    content.classList.add('has-toc');
+    content.insertBefore(this.nav, content.firstChild);
+  }
+
+  setExpanded(isExpanded) {
+    this.toggle.setAttribute('aria-expanded', String(isExpanded));
+    this.nav.classList.toggle('is-expanded', isExpanded);
+  }
+
+  setupScrollspy() {
+    if (!('IntersectionObserver' in window)) return;
+
+    // Watch a band near the top of the viewport, just under the fixed header
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(entry => {
+          const index = this.headings.indexOf(entry.target);
+
+          if (entry.isIntersecting) {
+            this.setActive(index);
+          } else if (entry.rootBounds && entry.boundingClientRect.top > entry.rootBounds.bottom) {
+            // Scrolled back up past this heading: the previous section is current again
+            this.setActive(index - 1);
+          }
+        });
+      },
+      { rootMargin: `-${this.headerOffset}px 0px -60% 0px` }
+    );
+
+    this.headings.forEach(heading => this.observer.observe(heading));
+  }
+
+  /**
+   * Mark the heading at an index as the current location
+   * @param {number} index - Index into this.headings, or -1 for none
+   */
+  setActive(index) {
+    const activeHeading = this.headings[index] || null;
+
+    this.links.forEach((link, heading) => {
+      if (heading === activeHeading) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+
+    const current = this.nav.querySelector('.toc-current');
+    current.textContent = activeHeading ? activeHeading.textContent.trim() : '';
+  }
+
+  setupProgressBar(content) {
+    this.progressBar = document.createElement('div');
+    this.progressBar.className = 'reading-progress';
+    this.progressBar.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(this.progressBar);
+
+    const update = () => {
+      this.progressFrame = null;
+      const rect = content.getBoundingClientRect();
+      const scrollable = rect.height - window.innerHeight + this.headerOffset;
+      const progress = scrollable > 0 ? (this.headerOffset - rect.top) / scrollable : 1;
+      this.progressBar.style.transform = `scaleX(${Math.min(1, Math.max(0, progress))})`;
+    };
+
+    const requestUpdate = () => {
+      if (!this.progressFrame) this.progressFrame = requestAnimationFrame(update);
+    };
+
+    window.addEventListener('scroll', requestUpdate, { passive: true });
+    window.addEventListener('resize', requestUpdate);
+    update();
+  }
+}
+
+// ========================================
+// READING TIME
 // ========================================
 
-class AccessibilityEnhancer {
+/**
+ * Shows "N min read" in the case-study header, counted from the page text.
+ * Project cards show the `readingTime` that tools/build-reading-times.js
+ * writes into data/projects.json.
+ */
+class ReadingTimeController {
   constructor() {
     this.init();
   }
 
   init() {
-    this.setupFocusManagement();
-    this.setupReducedMotion();
-    this.setupHighContrast();
-    this.setupScreenReaderEnhancements();
-    this.setupKeyboardNavigation();
-    this.setupARIALabels();
+    this.showPageReadingTime();
   }
 
-  setupFocusManagement() {
-    // Track focus changes for better UX
-    document.addEventListener('focusin', (e) => {
-      e.target.classList.add('focused');
-    });
-    
-    document.addEventListener('focusout', (e) => {
-      e.target.classList.remove('focused');
-    });
+  /**
+   * Count the case study's words and images; re-run once decrypted
+   */
+  showPageReadingTime() {
+    const meta = document.querySelector('.case-study-meta');
+    const main = document.querySelector('.main');
+    if (!meta || !main || main.hasAttribute('data-encrypted')) return;
+
+    // Leave out generated navigation and screen reader copies of alt text
+    const content = main.cloneNode(true);
+    content.querySelectorAll('script, noscript, .sr-only, .case-study-toc').forEach(element => element.remove());
+
+    const wordCount = content.textContent.split(/\s+/).filter(word => /\w/.test(word)).length;
+    const minutes = estimateReadingMinutes(wordCount, content.querySelectorAll('img').length);
+
+    let label = meta.querySelector('.case-study-reading-time');
+    if (!label) {
+      label = document.createElement('div');
+      label.className = 'case-study-reading-time';
+      meta.appendChild(label);
+    }
+    label.textContent = this.formatMinutes(minutes);
   }
 
-  setupReducedMotion() {
-    // Respect user's motion preferences
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-    
-    if (prefersReducedMotion.matches) {
-      document.documentElement.style.setProperty('--transition-fast', '0ms');
-      document.documentElement.style.setProperty('--transition-base', '0ms');
-      document.documentElement.style.setProperty('--transition-slow', '0ms');
+  formatMinutes(minutes) {
+    return `${minutes} min read`;
+  }
+}
+
+// ========================================
+// RESUME READING
+// ========================================
+
+/**
+ * Remembers the section and scroll position per case study and, on the next
+ * visit, offers to continue from there.
+ */
+class ReadingPositionController {
+  constructor(session) {
+    this.session = session;
+    this.storageKey = 'portfolio_reading_positions';
+    this.headingSelector = 'h2.section-heading, h3.subsection-heading';
+    this.maxAge = 30 * 24 * 60 * 60 * 1000; // Forget positions after 30 days
+    this.minScroll = 400; // Closer to the top than this isn't worth resuming
+    this.headerOffset = 120;
+    this.pageKey = window.location.pathname;
+    this.prompt = null;
+    this.hasOffered = false;
+    this.init();
+  }
+
+  init() {
+    if (!document.body.classList.contains('case-study-page')) return;
+
+    const savePosition = debounce(() => this.savePosition(), 500);
+    window.addEventListener('scroll', savePosition, { passive: true });
+    window.addEventListener('pagehide', () => this.savePosition());
+
+    // Offer to resume once the content is readable
+    const group = getProtectionGroup(document.body);
+    const isEncrypted = Boolean(document.querySelector('.main[data-encrypted]'));
+
+    if (isEncrypted) {
+      document.addEventListener('protectedcontent:unlocked', () => this.offerResume(), { once: true });
+    } else if (this.session.isAuthenticated(group)) {
+      this.offerResume();
+    } else {
+      document.addEventListener('protection:authenticated', () => this.offerResume(), { once: true });
     }
-    
-    // Listen for changes
-    prefersReducedMotion.addEventListener('change', (e) => {
-      if (e.matches) {
-        document.documentElement.style.setProperty('--transition-fast', '0ms');
-        document.documentElement.style.setProperty('--transition-base', '0ms');
-        document.documentElement.style.setProperty('--transition-slow', '0ms');
-      } else {
-        document.documentElement.style.setProperty('--transition-fast', '150ms ease-in-out');
-        document.documentElement.style.setProperty('--transition-base', '250ms ease-in-out');
-        document.documentElement.style.setProperty('--transition-slow', '350ms ease-in-out');
-      }
+  }
+
+  getPositions() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  setPositions(positions) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(positions));
+    } catch (e) {
+      console.warn('Could not save reading position:', e);
+    }
+  }
+
+  /**
+   * The last heading scrolled past, which names the section being read
+   * @returns {HTMLElement|null} Heading element
+   */
+  getCurrentHeading() {
+    let current = null;
+
+    getHeadingOutline(document.querySelector('.main'), this.headingSelector).forEach(({ element }) => {
+      if (element.getBoundingClientRect().top <= this.headerOffset) current = element;
     });
+
+    return current;
   }
 
-  setupHighContrast() {
-    // Detect high contrast mode
-    const prefersHighContrast = window.matchMedia('(prefers-contrast: high)');
-    
-    if (prefersHighContrast.matches) {
-      document.documentElement.classList.add('high-contrast');
+  savePosition() {
+    // Keep the old position until the visitor has been offered it
+    if (!this.hasOffered || !isPageContentVisible()) return;
+
+    const positions = this.getPositions();
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const progress = scrollable > 0 ? window.scrollY / scrollable : 0;
+
+    if (window.scrollY < this.minScroll || progress > 0.95) {
+      // Nothing to resume at the very top, and a finished read needn't be resumed
+      delete positions[this.pageKey];
+    } else {
+      const heading = this.getCurrentHeading();
+      positions[this.pageKey] = {
+        scrollY: Math.round(window.scrollY),
+        progress,
+        sectionId: heading ? ensureHeadingId(heading) : null,
+        sectionTitle: heading ? heading.textContent.trim() : null,
+        // Distance into the section, so the spot survives layout changes
+        sectionOffset: heading ? Math.round(window.scrollY - (heading.getBoundingClientRect().top + window.scrollY)) : 0,
+        savedAt: Date.now()
+      };
     }
-    
-    // Listen for changes
-    prefersHighContrast.addEventListener('change', (e) => {
-      if (e.matches) {
-        document.documentElement.classList.add('high-contrast');
-      } else {
-        document.documentElement.classList.remove('high-contrast');
-      }
+
+    this.setPositions(positions);
+  }
+
+  offerResume() {
+    // Wait for the browser's own scroll restoration, which happens around load
+    if (document.readyState !== 'complete') {
+      window.addEventListener('load', () => this.offerResume(), { once: true });
+      return;
+    }
+
+    if (this.hasOffered) return;
+    this.hasOffered = true;
+
+    const position = this.getPositions()[this.pageKey];
+    if (!position || Date.now() - position.savedAt > this.maxAge) return;
+
+    // Skip when the browser already restored the scroll or a link targets a section
+    if (window.scrollY > this.minScroll || window.location.hash) return;
+
+    this.showPrompt(position);
+  }
+
+  showPrompt(position) {
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'toast resume-reading';
+    this.prompt.setAttribute('role', 'region');
+    this.prompt.setAttribute('aria-label', 'Resume reading');
+    this.prompt.innerHTML = `
+      <p class="toast-message"></p>
+      <div class="toast-actions">
+        <button type="button" class="toast-primary resume-reading-continue">Continue</button>
+        <button type="button" class="toast-secondary resume-reading-dismiss">Start from the top</button>
+      </div>
+    `;
+
+    const message = position.sectionTitle
+      ? `Continue where you left off, at "${position.sectionTitle}"?`
+      : 'Continue where you left off?';
+    this.prompt.querySelector('.toast-message').textContent = message;
+
+    this.prompt.querySelector('.resume-reading-continue').addEventListener('click', () => {
+      this.hidePrompt();
+      this.resume(position);
     });
+    this.prompt.querySelector('.resume-reading-dismiss').addEventListener('click', () => {
+      this.hidePrompt();
+      this.forgetPosition();
+    });
+
+    document.body.appendChild(this.prompt);
+    announceToScreenReader(message);
   }
 
-  setupScreenReaderEnhancements() {
-    // Add live regions for dynamic content
-    this.createLiveRegion();
-    
-    // Enhance image descriptions
-    this.enhanceImageDescriptions();
-    
-    // Add landmark navigation
-    this.addLandmarkNavigation();
-    
-    // Setup reading order
-    this.setupReadingOrder();
+  hidePrompt() {
+    if (!this.prompt) return;
+
+    this.prompt.remove();
+    this.prompt = null;
   }
 
-  createLiveRegion() {
-    // Create a live region for announcements
-    const liveRegion = document.createElement('div');
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.className = 'sr-only';
-    liveRegion.id = 'live-region';
-    document.body.appendChild(liveRegion);
+  forgetPosition() {
+    const positions = this.getPositions();
+    delete positions[this.pageKey];
+    this.setPositions(positions);
   }
 
-  enhanceImageDescriptions() {
-    // Add enhanced descriptions for complex images
-    const images = document.querySelectorAll('img[alt]');
-    images.forEach(img => {
-      const alt = img.getAttribute('alt');
-      if (alt && alt.length > 100) {
-        // For complex images, add a detailed description
-        img.setAttribute('aria-describedby', `desc-${img.id || Math.random().toString(36).substr(2, 9)}`);
-        
-        const description = document.createElement('div');
-        description.id = img.getAttribute('aria-describedby');
-        description.className = 'sr-only';
-        description.textContent = alt;
-        img.parentNode.insertBefore(description, img.nextSibling);
+  resume(position) {
+    const heading = position.sectionId && document.getElementById(position.sectionId);
+    const top = heading
+      ? heading.getBoundingClientRect().top + window.scrollY + position.sectionOffset
+      : position.scrollY;
+
+    window.scrollTo({ top, behavior: 'auto' });
+
+    if (heading) {
+      // Start keyboard and screen reader navigation from the resumed section
+      heading.setAttribute('tabindex', '-1');
+      heading.focus({ preventScroll: true });
+      announceToScreenReader(`Continuing from ${position.sectionTitle}`);
+    }
+  }
+}
+
+// ========================================
+// COMMAND PALETTE
+// ========================================
+
+/**
+ * Cmd/Ctrl+K search across every case study. Projects come from the manifest
+ * and section text from data/search-index.json (see
+ * tools/build-search-index.js). Sections of protected projects are encrypted
+ * in the index and only become searchable once the visitor has unlocked
+ * that project; until then only the project's public card text is.
+ */
+class CommandPaletteController {
+  constructor(session, manifest, shortcuts) {
+    this.session = session;
+    this.manifest = manifest;
+    this.shortcuts = shortcuts;
+    this.indexUrl = 'data/search-index.json';
+    this.maxResults = 8;
+    this.snippetRadius = 60;
+    this.fieldWeights = { heading: 3, context: 1, text: 1 };
+    this.indexRequest = null;
+    this.sections = new Map();
+    this.entries = [];
+    this.results = [];
+    this.activeIndex = -1;
+    this.element = null;
+    this.dialog = null;
+    this.init();
+  }
+
+  init() {
+    this.setupPalette();
+
+    this.shortcuts.register('mod+k', 'Search case studies', () => {
+      // Leave other dialogs, such as the password prompt, in charge
+      if (Dialog.stack.length && !this.dialog.isOpen) return false;
+
+      if (this.dialog.isOpen) {
+        this.dialog.close();
+      } else {
+        this.open();
       }
+      return true;
+    });
+
+    // Forget decrypted sections on lock; pick up newly unlocked ones
+    document.addEventListener('protection:locked', (e) => {
+      this.sections.forEach((cached, id) => {
+        if (cached.group === e.detail.group) this.sections.delete(id);
+      });
+      if (this.dialog.isOpen) this.refresh();
+    });
+    document.addEventListener('protection:authenticated', () => {
+      if (this.dialog.isOpen) this.refresh();
     });
   }
 
-  addLandmarkNavigation() {
-    // Add skip links for landmarks
-    const landmarks = document.querySelectorAll('main, nav, section, article, aside, header, footer');
-    landmarks.forEach(landmark => {
-      if (!landmark.id) {
-        landmark.id = `landmark-${Math.random().toString(36).substr(2, 9)}`;
-      }
+  setupPalette() {
+    this.element = document.createElement('div');
+    this.element.className = 'command-palette';
+    this.element.setAttribute('aria-label', 'Search case studies');
+    this.element.innerHTML = `
+      <div class="command-palette-panel">
+        <input type="text" class="command-palette-input" role="combobox" aria-label="Search case studies"
+               aria-expanded="true" aria-controls="command-palette-results" aria-autocomplete="list"
+               placeholder="Search case studies" autocomplete="off" spellcheck="false">
+        <ul id="command-palette-results" class="command-palette-results" role="listbox" aria-label="Results"></ul>
+        <p class="command-palette-status" role="status"></p>
+        <p class="command-palette-notice" hidden>Case-study text couldn’t be loaded, so only project titles are searched.</p>
+        <p class="command-palette-hint" aria-hidden="true">
+          <kbd>&uarr;</kbd><kbd>&darr;</kbd> to move, <kbd>Enter</kbd> to open, <kbd>Esc</kbd> to close
+        </p>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+
+    this.input = this.element.querySelector('.command-palette-input');
+    this.list = this.element.querySelector('.command-palette-results');
+    this.status = this.element.querySelector('.command-palette-status');
+    this.notice = this.element.querySelector('.command-palette-notice');
+
+    this.dialog = new Dialog(this.element, {
+      initialFocus: '.command-palette-input',
+      openClass: 'is-open'
+    });
+
+    this.input.addEventListener('input', () => this.search());
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('.command-palette-option');
+      if (option) this.go(this.results[Number(option.dataset.index)]);
+    });
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('.command-palette-option');
+      if (option) this.setActive(Number(option.dataset.index));
+    });
+
+    // Clicking the backdrop closes the palette
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element) this.dialog.close();
     });
   }
 
-  setupReadingOrder() {
-    // Ensure logical reading order
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-    let headingLevel = 0;
-    
-    headings.forEach(heading => {
-      const level = parseInt(heading.tagName.charAt(1));
-      if (level > headingLevel + 1) {
-        console.warn('Heading level skipped:', heading);
+  open() {
+    this.input.value = '';
+    this.dialog.open();
+    this.refresh();
+  }
+
+  refresh() {
+    this.status.textContent = 'Loading…';
+    this.loadEntries()
+      .then(() => this.search())
+      .catch(error => {
+        console.warn('Could not load the search index:', error);
+        this.status.textContent = 'Search is unavailable right now.';
+      });
+  }
+
+  loadIndex() {
+    if (!this.indexRequest) {
+      this.indexRequest = fetch(this.indexUrl)
+        .then(response => {
+          if (!response.ok) throw new Error(`${this.indexUrl} returned ${response.status}`);
+          return response.json();
+        })
+        .catch(error => {
+          // Projects stay searchable by their card text; the palette says so
+          console.warn('Could not load the search index, searching project titles only:', error);
+          this.indexRequest = null;
+          return { projects: [], missing: true };
+        });
+    }
+    return this.indexRequest;
+  }
+
+  /**
+   * Sections of one project, decrypting them if the visitor has unlocked it
+   * @param {Object|undefined} indexed - Project entry from the search index
+   * @param {string} group - Project's protection group
+   * @returns {Promise<Array<Object>>} Sections, or none if still locked
+   */
+  async getSections(indexed, group) {
+    if (!indexed) return [];
+    if (indexed.sections) return indexed.sections;
+    if (this.sections.has(indexed.id)) return this.sections.get(indexed.id).sections;
+
+    const { contentKey } = this.session.get(group) || {};
+    if (!contentKey) return [];
+
+    try {
+      const sections = JSON.parse(await decryptPayload(indexed.payload, contentKey));
+      this.sections.set(indexed.id, { group, sections });
+      return sections;
+    } catch (e) {
+      console.warn(`Could not decrypt search entries for ${indexed.id}:`, e.message);
+      return [];
+    }
+  }
+
+  /**
+   * Build the searchable entries: one per project, then one per section of
+   * every public or unlocked project
+   */
+  async loadEntries() {
+    const [projects, index] = await Promise.all([this.manifest.load(), this.loadIndex()]);
+    const indexed = new Map(index.projects.map(entry => [entry.id, entry]));
+    const entries = [];
+
+    this.notice.hidden = !index.missing;
+
+    for (const project of projects) {
+      const group = project.protection || 'public';
+      const locked = group !== 'public' && !this.session.isAuthenticated(group);
+      const sections = locked ? [] : await this.getSections(indexed.get(project.id), group);
+      const intro = sections.find(section => !section.id);
+
+      entries.push(this.createEntry({
+        project,
+        locked,
+        heading: project.title,
+        context: `${project.eyebrow} · ${project.company}`,
+        text: intro ? intro.text : '',
+        url: project.href
+      }));
+
+      sections.filter(section => section.id).forEach(section => {
+        entries.push(this.createEntry({
+          project,
+          locked: false,
+          heading: section.heading,
+          context: [project.eyebrow, section.parent].filter(Boolean).join(' › '),
+          text: section.text,
+          url: `${project.href}#${section.id}`
+        }));
+      });
+    }
+
+    this.entries = entries;
+  }
+
+  createEntry(entry) {
+    return {
+      ...entry,
+      folded: {
+        heading: this.fold(entry.heading),
+        context: this.fold(entry.context),
+        text: this.fold(entry.text)
       }
-      headingLevel = level;
-    });
+    };
   }
 
-  setupKeyboardNavigation() {
-    // Enhanced keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      // Skip to main content with 'M' key
-      if (e.key === 'm' && e.ctrlKey) {
-        e.preventDefault();
-        const main = document.querySelector('main');
-        if (main) {
-          main.focus();
-          main.scrollIntoView({ behavior: 'smooth' });
-          announceToScreenReader('Skipped to main content');
+  /**
+   * Lowercase text and drop accents, keeping its length so match positions
+   * can be highlighted in the original
+   * @param {string} text - Text to fold
+   * @returns {string} Folded text
+   */
+  fold(text) {
+    return Array.from(text, char => {
+      const folded = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      return folded.length === char.length ? folded : char;
+    }).join('');
+  }
+
+  search() {
+    const terms = this.fold(this.input.value).split(/\s+/).filter(Boolean);
+
+    if (terms.length) {
+      this.results = this.entries
+        .map(entry => this.scoreEntry(entry, terms))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults);
+    } else {
+      // With nothing typed, list the projects
+      this.results = this.entries
+        .filter(entry => !entry.url.includes('#'))
+        .map(entry => ({ entry, score: 0, ranges: { heading: [], context: [], text: [] } }));
+    }
+
+    this.renderResults();
+    this.setActive(this.results.length ? 0 : -1);
+
+    if (!terms.length) {
+      this.status.textContent = `${this.results.length} projects`;
+    } else if (this.results.length) {
+      this.status.textContent = `${this.results.length} result${this.results.length === 1 ? '' : 's'}`;
+    } else {
+      this.status.textContent = `No results for “${this.input.value.trim()}”`;
+    }
+  }
+
+  /**
+   * Score an entry against every search term; each term has to match
+   * @param {Object} entry - Entry from loadEntries()
+   * @param {Array<string>} terms - Folded search terms
+   * @returns {Object|null} Result with score and match ranges per field
+   */
+  scoreEntry(entry, terms) {
+    const ranges = { heading: [], context: [], text: [] };
+    let score = 0;
+
+    for (const term of terms) {
+      let matched = false;
+
+      Object.keys(ranges).forEach(field => {
+        // Loose in-order matching only makes sense on short text
+        const match = this.matchTerm(term, entry.folded[field], field !== 'text');
+        if (!match) return;
+
+        matched = true;
+        score += match.score * this.fieldWeights[field];
+        ranges[field].push(...match.ranges);
+      });
+
+      if (!matched) return null;
+    }
+
+    return { entry, score, ranges };
+  }
+
+  /**
+   * Find a term in folded text: as a substring, as a word with one typo,
+   * or, if allowed, as letters in order ("dshbrd" for "dashboard")
+   * @param {string} term - Folded search term
+   * @param {string} text - Folded text
+   * @param {boolean} allowSubsequence - Whether to try in-order letters
+   * @returns {{score: number, ranges: Array<Array<number>>}|null} Match
+   */
+  matchTerm(term, text, allowSubsequence) {
+    const index = text.indexOf(term);
+    if (index !== -1) {
+      const atWordStart = index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+      return { score: atWordStart ? 3 : 2, ranges: [[index, index + term.length]] };
+    }
+
+    if (term.length >= 4) {
+      const wordPattern = /[a-z0-9]+/g;
+      let word;
+      while ((word = wordPattern.exec(text))) {
+        if (this.isOneEditAway(term, word[0]) || this.isOneEditAway(term, word[0].slice(0, term.length))) {
+          return { score: 1.5, ranges: [[word.index, word.index + word[0].length]] };
         }
       }
-      
-      // Skip to navigation with 'N' key
-      if (e.key === 'n' && e.ctrlKey) {
-        e.preventDefault();
-        const nav = document.querySelector('nav');
-        if (nav) {
-          nav.focus();
-          announceToScreenReader('Skipped to navigation');
+    }
+
+    if (allowSubsequence && term.length >= 2) {
+      const ranges = [];
+      let position = text.indexOf(term[0]);
+      const start = position;
+
+      for (let i = 0; i < term.length && position !== -1; i++) {
+        if (i > 0) position = text.indexOf(term[i], position + 1);
+        if (position === -1) break;
+
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === position) {
+          last[1]++;
+        } else {
+          ranges.push([position, position + 1]);
         }
       }
-      
-      // Skip to footer with 'F' key
-      if (e.key === 'f' && e.ctrlKey) {
-        e.preventDefault();
-        const footer = document.querySelector('footer');
-        if (footer) {
-          footer.focus();
-          announceToScreenReader('Skipped to footer');
-        }
+
+      // Letters spread across the whole heading aren't a match
+      if (position !== -1 && position - start < term.length * 3) {
+        return { score: 1, ranges };
       }
-    });
+    }
+
+    return null;
   }
 
-  setupARIALabels() {
-    // Add ARIA labels to interactive elements
-    const buttons = document.querySelectorAll('button:not([aria-label]):not([aria-labelledby])');
-    buttons.forEach(button => {
-      if (!button.textContent.trim()) {
-        button.setAttribute('aria-label', 'Button');
+  /**
+   * Whether two words differ by at most one insertion, deletion or substitution
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @returns {boolean} Whether they are within one edit
+   */
+  isOneEditAway(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        i++;
+        j++;
+        continue;
       }
-    });
-    
-    // Add ARIA labels to links without descriptive text
-    const links = document.querySelectorAll('a:not([aria-label]):not([aria-labelledby])');
-    links.forEach(link => {
-      if (!link.textContent.trim() && !link.querySelector('img[alt]')) {
-        link.setAttribute('aria-label', 'Link');
+      if (++edits > 1) return false;
+      if (a.length > b.length) {
+        i++;
+      } else if (b.length > a.length) {
+        j++;
+      } else {
+        i++;
+        j++;
       }
+    }
+
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+
+  /**
+   * Escape text and wrap matched ranges in <mark>
+   * @param {string} text - Original text
+   * @param {Array<Array<number>>} ranges - [start, end) ranges into text
+   * @returns {string} HTML
+   */
+  highlight(text, ranges) {
+    const merged = ranges
+      .slice()
+      .sort((a, b) => a[0] - b[0])
+      .reduce((list, [start, end]) => {
+        const last = list[list.length - 1];
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          list.push([start, end]);
+        }
+        return list;
+      }, []);
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+      html += `${escapeHTML(text.slice(position, start))}<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+      position = end;
     });
-    
-    // Add ARIA descriptions for complex interactions
-    const projectCards = document.querySelectorAll('.project-card');
-    projectCards.forEach(card => {
-      const title = card.querySelector('.project-title');
-      const company = card.querySelector('.project-company');
-      if (title && company) {
-        card.setAttribute('aria-label', `View ${title.textContent} project at ${company.textContent}`);
-      }
+    return html + escapeHTML(text.slice(position));
+  }
+
+  /**
+   * A short excerpt of the text around its first match
+   * @param {string} text - Section text
+   * @param {Array<Array<number>>} ranges - Matches in the text
+   * @returns {string} Highlighted HTML excerpt
+   */
+  snippet(text, ranges) {
+    const first = ranges.length ? Math.min(...ranges.map(range => range[0])) : 0;
+    let start = Math.max(0, first - this.snippetRadius);
+    let end = Math.min(text.length, first + this.snippetRadius * 2);
+
+    // Don't cut words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+
+    const visible = ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]);
+
+    return `${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), visible)}${end < text.length ? '…' : ''}`;
+  }
+
+  renderResults() {
+    this.list.innerHTML = this.results.map(({ entry, ranges }, i) => {
+      const snippet = entry.locked
+        ? 'Unlock this project to search its case study.'
+        : this.snippet(entry.text, ranges.text);
+
+      return `
+        <li id="command-palette-option-${i}" class="command-palette-option" role="option" aria-selected="false" data-index="${i}">
+          <span class="command-palette-context">${this.highlight(entry.context, ranges.context)}${entry.locked ? ' · Locked' : ''}</span>
+          <span class="command-palette-heading">${this.highlight(entry.heading, ranges.heading)}</span>
+          ${snippet ? `<span class="command-palette-snippet">${snippet}</span>` : ''}
+        </li>
+      `;
+    }).join('');
+  }
+
+  setActive(index) {
+    const options = this.list.querySelectorAll('.command-palette-option');
+    this.activeIndex = index;
+
+    options.forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === index));
     });
+
+    if (index >= 0) {
+      this.input.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  handleKeydown(e) {
+    const count = this.results.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!count) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.setActive((this.activeIndex + step + count) % count);
+    } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+      e.preventDefault();
+      this.go(this.results[this.activeIndex]);
+    }
+  }
+
+  /**
+   * Open a result, scrolling within the page when it is the current one
+   * @param {Object} result - Result from search()
+   */
+  go(result) {
+    const url = new URL(result.entry.url, window.location.href);
+    const page = path => path.replace(/\.html$/, '');
+    const target = page(url.pathname) === page(window.location.pathname) &&
+      document.getElementById(url.hash ? decodeURIComponent(url.hash.slice(1)) : 'main-content');
+
+    this.dialog.close({ returnFocus: !target });
+
+    if (!target) {
+      window.location.href = url.href;
+      return;
+    }
+
+    history.pushState(history.state, '', url.hash || window.location.pathname);
+    target.scrollIntoView({ block: 'start' });
+    // Move keyboard focus along with the view
+    target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
   }
 }
 
@@ -838,23 +4031,55 @@ function initializeWebsite() {
 function initializeControllers() {
   // Initialize controllers in order of priority
   const lazyLoadingEnhancer = new LazyLoadingEnhancer();
-  const accessibilityEnhancer = new AccessibilityEnhancer();
+  const keyboardShortcuts = new KeyboardShortcuts();
+  const accessibilityEnhancer = new AccessibilityEnhancer(keyboardShortcuts);
+  
+  // Shared unlock state for protected projects
+  const authSession = new AuthSession();
+  window.authSession = authSession;
   
-  console.log('Initializing password protection controller...');
-  const passwordProtectionController = new PasswordProtectionController();
-  console.log('Password protection controller initialized:', passwordProtectionController);
+  const passwordProtectionController = new PasswordProtectionController(authSession);
+  
+  // Make password protection controller globally accessible
+  window.passwordProtectionController = passwordProtectionController;
   
   const mobileNavigationController = new MobileNavigationController();
   const contactController = new ContactController();
-  const projectCardController = new ProjectCardController();
+  const projectManifest = new ProjectManifest();
+  const projectCardController = new ProjectCardController(authSession);
+  const projectNavigation = new ProjectNavigationController(projectManifest);
+  const authSessionControls = new AuthSessionControls(authSession);
+  const sessionExpiryController = new SessionExpiryController(authSession);
   
   // Make project card controller globally accessible
   window.projectCardController = projectCardController;
   
   const linkedInButtonController = new LinkedInButtonController();
   const animationController = new AnimationController();
+  const workFilterController = new WorkFilterController(projectManifest, animationController);
+  const comparisonSlider = new ComparisonSlider();
+  const imageLightbox = new ImageLightbox();
+  const sectionLinks = new SectionLinksController();
+  const tableOfContents = new TableOfContentsController();
+  const readingTimeController = new ReadingTimeController();
+  const readingPositionController = new ReadingPositionController(authSession);
+  const commandPalette = new CommandPaletteController(authSession, projectManifest, keyboardShortcuts);
   const performanceMonitor = new PerformanceMonitor();
   
+  // Enhance case-study content once it has been decrypted
+  document.addEventListener('protectedcontent:unlocked', (e) => {
+    const { root } = e.detail;
+    lazyLoadingEnhancer.setupLazyLoading(root);
+    accessibilityEnhancer.enhanceImageDescriptions(root);
+    animationController.observeElements(root);
+    comparisonSlider.setupSliders(root);
+    imageLightbox.setupImages(root);
+    sectionLinks.setupHeadings(root);
+    tableOfContents.build();
+    readingTimeController.showPageReadingTime();
+    projectNavigation.render();
+  });
+  
   // Announce page load to screen readers
   announceToScreenReader('Andrew Malone portfolio website loaded successfully');
   
@@ -886,39 +4111,167 @@ if (document.readyState === 'loading') {
 // ========================================
 
 class PasswordProtectionController {
-  constructor() {
-    this.correctPassword = '3027';
-    this.sessionKey = 'portfolio_authenticated';
-    this.sessionExpiry = 24 * 60 * 60 * 1000; // 24 hours
+  constructor(session) {
+    this.session = session;
+
+    // PBKDF2-SHA256 verifiers per protection group, generated with
+    // `node tools/hash-password.js`. Pages and cards pick a group with
+    // data-protection; anything without one is public.
+    this.passwordVerifiers = {
+      'back-office': {
+        salt: 'PEhqMnHcHw2BDiuWfJ8jWA==',
+        iterations: 310000,
+        hash: 'gCrHqff41BBeisdLU7NWTDroVa2xlupPaWdMibkK5/A=',
+        keyCheck: 'K8SSh/fKEbdBv+efUu7cG2TRADEBBjduqI79be5EptM='
+      },
+      soteria: {
+        salt: 'CASCo8zEXYOofNPu7PoZWg==',
+        iterations: 310000,
+        hash: 'DIJuTHvvahspgTMB7cZ9Zg0dOyyAeE966hwRemeUyLc=',
+        keyCheck: 'wDuSw597eW9RpJAgligWQSrpDJ3rz5rXe+YxWx8HPL8='
+      }
+    };
+    // Public half of the invite signing key, printed by
+    // `node tools/mint-invite.js --new-signing-key`
+    this.inviteVerificationKey = 'MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAELh3o4mwlqnvE9l3MgnoYrP1WxbdCSMpLnN0MQvXV1fvea5jdNcqNpOnaTADrg64RrxW9aTb+Pvt7/SES0g+58A==';
+    this.inviteGroup = null;
+    this.resumeScrollY = null;
+    
+    // Failed-attempt throttling, persisted per group across reloads
+    this.attemptsKey = 'portfolio_password_attempts';
+    this.attemptsMemory = 24 * 60 * 60 * 1000; // Forget failures after a day
+    this.maxAttempts = 5; // Failures before a lockout
+    this.lockoutDuration = 5 * 60 * 1000; // 5 minutes, doubling per further failure
+    this.maxThrottleDelay = 60 * 60 * 1000; // 1 hour
+    this.countdownTimer = null;
+    this.isVerifying = false;
     this.init();
   }
 
   init() {
     this.setupPasswordModal();
     this.setupPasswordProtection();
+    this.setupSessionSync();
+  }
+
+  /**
+   * Protection group for the current unlock attempt: the case-study page's
+   * own group, or the group of the project card that was clicked
+   * @returns {string} Group name
+   */
+  getActiveGroup() {
+    if (document.body.classList.contains('case-study-page')) {
+      return getProtectionGroup(document.body);
+    }
+
+    const projectCardController = window.projectCardController;
+    return (projectCardController && projectCardController.targetGroup) || this.inviteGroup || 'public';
   }
 
-  setupPasswordProtection() {
+  async setupPasswordProtection() {
     // Check if this is a case study page
     const isCaseStudy = document.body.classList.contains('case-study-page');
-    
-    console.log('Password protection setup:', { isCaseStudy, authenticated: this.isAuthenticated() });
-    
-    if (isCaseStudy) {
+    const invite = await this.redeemInviteToken();
+    const group = this.getActiveGroup();
+
+    if (isCaseStudy && group === 'public') {
+      // Public case study, nothing to unlock
+    } else if (isCaseStudy) {
       // Check if user is already authenticated
-      if (!this.isAuthenticated()) {
-        console.log('Showing password modal');
+      if (!this.isAuthenticated(group)) {
         this.showPasswordModal();
+
+        if (invite && invite.error) {
+          this.showError(document.getElementById('password-error'), invite.error);
+        } else if (invite && invite.group !== group) {
+          this.showError(document.getElementById('password-error'), 'This invite link is for a different project. Please enter the password to continue.');
+        }
       } else {
-        console.log('User already authenticated');
+        this.showPageContent();
       }
     } else {
-      console.log('Not a case study page - modal available for project cards');
+      // Other pages open the modal from project cards
+      if (invite && invite.error) {
+        if (this.passwordVerifiers[invite.group]) {
+          // Let the visitor unlock the invited project with its password instead
+          this.inviteGroup = invite.group;
+          this.showPasswordModal();
+          this.showError(document.getElementById('password-error'), invite.error);
+        } else {
+          announceToScreenReader(invite.error, 'assertive');
+        }
+      }
+    }
+  }
+
+  /**
+   * Check an `?access=` invite token (see tools/mint-invite.js). The token
+   * carries its group, expiry and content key, signed with the site owner's
+   * private key (tools/mint-invite.js); the signature must verify against
+   * inviteVerificationKey and the key must match the group's published
+   * keyCheck. Valid tokens unlock the group. Every token, valid or not, is
+   * removed from the address bar so it doesn't survive in reloads, shared
+   * links or history.
+   * @returns {Promise<{group: string|null, error: string|null}|null>} Result, or null without a token
+   */
+  async redeemInviteToken() {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get('access');
+    if (!token) return null;
+
+    url.searchParams.delete('access');
+    history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+
+    let group = null;
+
+    try {
+      const [encodedPayload, signature] = token.split('.');
+      const isSigned = await this.verifyInviteSignature(encodedPayload, base64UrlToBytes(signature));
+      if (!isSigned) throw new Error('Signature mismatch');
+
+      const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(encodedPayload)));
+      group = payload.g;
+
+      const verifier = this.passwordVerifiers[group];
+      if (!verifier) throw new Error(`Unknown protection group: ${group}`);
+
+      const contentKey = base64ToBytes(payload.k);
+      const keyDigest = new Uint8Array(await crypto.subtle.digest('SHA-256', contentKey));
+      if (!bytesEqual(keyDigest, base64ToBytes(verifier.keyCheck))) {
+        throw new Error('Key does not match the protection group');
+      }
+
+      const expiresAt = payload.exp * 1000;
+      if (expiresAt <= Date.now()) {
+        return { group, error: 'This invite link has expired. Please enter the password or ask for a new link.' };
+      }
+
+      this.authenticateUser(payload.k, group, expiresAt);
+      announceToScreenReader('Invite link accepted. Project unlocked.');
+
+      return { group, error: null };
+    } catch (e) {
+      console.warn('Invalid invite link:', e.message);
+      return { group, error: 'This invite link is not valid. Please enter the password to continue.' };
     }
   }
 
+  /**
+   * Verify an invite signature against the public key. Only the private key
+   * kept by tools/mint-invite.js can produce it, so a token's group and
+   * expiry can't be changed by whoever holds it.
+   * @param {string} encodedPayload - Signed base64url payload
+   * @param {Uint8Array} signature - ECDSA P-256 signature (r || s)
+   * @returns {Promise<boolean>} Whether the signature is valid
+   */
+  async verifyInviteSignature(encodedPayload, signature) {
+    const ecdsa = { name: 'ECDSA', namedCurve: 'P-256' };
+    const publicKey = await crypto.subtle.importKey('spki', base64ToBytes(this.inviteVerificationKey), ecdsa, false, ['verify']);
+
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, signature, new TextEncoder().encode(encodedPayload));
+  }
+
   setupPasswordModal() {
-    console.log('Setting up password modal...');
     // Create password modal HTML
     const modalHTML = `
       <div id="password-modal" class="password-modal" role="dialog" aria-labelledby="password-modal-title" aria-describedby="password-modal-description">
@@ -939,18 +4292,32 @@ class PasswordProtectionController {
             <div id="password-form" class="password-form">
               <div class="password-input-group">
                 <label for="password-input" class="password-label">Password</label>
-                <input 
-                  type="text" 
-                  id="password-input" 
-                  class="password-input" 
-                  placeholder="Enter password"
-                  autocomplete="off"
-                  data-form-type="other"
-                  data-lpignore="true"
-                  required
-                >
+                <div class="password-input-wrapper">
+                  <input 
+                    type="password" 
+                    id="password-input" 
+                    class="password-input" 
+                    placeholder="Enter password"
+                    autocomplete="off"
+                    autocapitalize="off"
+                    spellcheck="false"
+                    data-form-type="other"
+                    data-lpignore="true"
+                    required
+                  >
+                  <button type="button" class="password-visibility-toggle" aria-controls="password-input" aria-pressed="false" aria-label="Show password">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                      <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
+                    </svg>
+                  </button>
+                </div>
                 <div id="password-error" class="password-error" role="alert" aria-live="polite"></div>
+                <p id="password-throttle" class="password-throttle" hidden></p>
               </div>
+              <label class="password-remember">
+                <input type="checkbox" id="password-remember" class="password-remember-input">
+                <span>Remember on this device</span>
+              </label>
               <div class="password-modal-actions">
                 <button type="button" class="password-submit-btn">Access Project</button>
               </div>
@@ -961,13 +4328,17 @@ class PasswordProtectionController {
     `;
 
     // Add modal to page
-    console.log('Adding modal HTML to page...');
     document.body.insertAdjacentHTML('beforeend', modalHTML);
-    console.log('Modal HTML added. Checking if element exists:', document.getElementById('password-modal'));
 
     // Add modal styles
     this.addModalStyles();
 
+    // Focus trap, inert background and Escape handling
+    this.dialog = new Dialog(document.getElementById('password-modal'), {
+      initialFocus: '#password-input',
+      onRequestClose: () => this.hidePasswordModal()
+    });
+
     // Setup form handler
     this.setupPasswordForm();
     
@@ -1085,8 +4456,15 @@ class PasswordProtectionController {
           color: var(--color-fg, #0F172A);
         }
 
+        .password-input-wrapper {
+          position: relative;
+          display: flex;
+        }
+
         .password-input {
-          padding: 0.75rem 1rem;
+          flex: 1;
+          min-width: 0;
+          padding: 0.75rem 3rem 0.75rem 1rem;
           border: 2px solid var(--color-border, #E2E8F0);
           border-radius: 0;
           font: 400 1rem/1 var(--font-sans, "Inter", sans-serif);
@@ -1112,12 +4490,59 @@ class PasswordProtectionController {
           border-color: #EF4444;
         }
 
+        .password-visibility-toggle {
+          position: absolute;
+          top: 0;
+          right: 0;
+          bottom: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          width: 2.75rem;
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: var(--color-muted, #475569);
+          transition: color 0.2s ease;
+        }
+
+        .password-visibility-toggle:hover,
+        .password-visibility-toggle[aria-pressed="true"] {
+          color: var(--color-fg, #0F172A);
+        }
+
+        .password-visibility-toggle:focus-visible {
+          outline: 2px solid var(--color-primary, #3B82F6);
+          outline-offset: -4px;
+        }
+
         .password-error {
           font: 400 0.75rem/1.2 var(--font-sans, "Inter", sans-serif);
           color: #EF4444;
           min-height: 1.2rem;
         }
 
+        .password-throttle {
+          font: 400 0.75rem/1.2 var(--font-sans, "Inter", sans-serif);
+          color: var(--color-muted, #475569);
+          margin: 0;
+        }
+
+        .password-remember {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font: 400 0.875rem/1.4 var(--font-sans, "Inter", sans-serif);
+          color: var(--color-fg, #0F172A);
+          cursor: pointer;
+        }
+
+        .password-remember-input {
+          width: 1rem;
+          height: 1rem;
+          accent-color: var(--color-fg, #0F172A);
+        }
+
         .password-submit-btn {
           display: inline-flex;
           align-items: center;
@@ -1189,33 +4614,18 @@ class PasswordProtectionController {
         }
       });
 
-      // Clear error on input and handle password masking
-      input.addEventListener('input', (e) => {
+      // Clear error on input
+      input.addEventListener('input', () => {
         this.clearError(errorDiv);
         input.classList.remove('error');
-        this.maskPasswordInput(e.target);
-      });
-
-      // Handle backspace and other special keys
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Backspace' || e.key === 'Delete') {
-          this.handlePasswordBackspace(e.target, e);
-        }
       });
 
-      // Focus input when modal shows
-      const modal = document.getElementById('password-modal');
-      if (modal) {
-        const observer = new MutationObserver((mutations) => {
-          mutations.forEach((mutation) => {
-            if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
-              if (modal.classList.contains('show')) {
-                setTimeout(() => input.focus(), 100);
-              }
-            }
-          });
+      // Show or hide the typed password
+      const visibilityToggle = document.querySelector('.password-visibility-toggle');
+      if (visibilityToggle) {
+        visibilityToggle.addEventListener('click', () => {
+          this.setPasswordVisibility(input.type === 'password');
         });
-        observer.observe(modal, { attributes: true });
       }
     }
   }
@@ -1240,28 +4650,35 @@ class PasswordProtectionController {
   }
 
 
-  showPasswordModal() {
-    console.log('showPasswordModal called');
+  showPasswordModal(opener = document.activeElement) {
     const modal = document.getElementById('password-modal');
-    console.log('Modal element:', modal);
     if (modal) {
-      modal.classList.add('show');
-      console.log('Modal shown successfully');
+      this.dialog.open(opener);
       
       // Announce to screen readers
       announceToScreenReader('Password protection modal opened');
+      
+      // Resume any wait left over from earlier failed attempts
+      this.startThrottleCountdown(this.getActiveGroup());
     } else {
       console.error('Password modal element not found');
     }
   }
 
-  hidePasswordModal() {
+  closePasswordModal() {
     const modal = document.getElementById('password-modal');
     if (modal) {
-      modal.classList.remove('show');
+      this.dialog.close();
       
       // Reset modal state
       this.resetPasswordModal();
+    }
+  }
+
+  hidePasswordModal() {
+    const modal = document.getElementById('password-modal');
+    if (modal) {
+      this.closePasswordModal();
       
       // Announce to screen readers
       announceToScreenReader('Password protection modal closed');
@@ -1277,51 +4694,217 @@ class PasswordProtectionController {
     }
   }
 
-  handlePasswordSubmit(password, errorDiv) {
+  async handlePasswordSubmit(password, errorDiv) {
     const submitBtn = document.querySelector('.password-submit-btn');
     const input = document.getElementById('password-input');
+    const group = this.getActiveGroup();
+    
+    // Ignore repeat submissions while checking or while throttled
+    if (this.isVerifying) return;
+    if (this.getRemainingWait(group) > 0) {
+      this.startThrottleCountdown(group);
+      return;
+    }
     
-    // Get the actual password value (not the masked dots)
+    // Get the entered password
     const actualPassword = this.getActualPassword(input);
     
     // Disable button during processing
+    this.isVerifying = true;
     if (submitBtn) {
       submitBtn.disabled = true;
       submitBtn.textContent = 'Checking...';
     }
 
-    // Simulate a brief delay for better UX
-    setTimeout(() => {
-      console.log('Password validation:', { actualPassword, correctPassword: this.correctPassword, match: actualPassword === this.correctPassword });
+    const verifier = this.passwordVerifiers[group];
+    if (!verifier) {
+      console.error('No password configured for protection group:', group);
+      this.showError(errorDiv, 'This project cannot be unlocked right now.');
+      this.resetSubmitButton(submitBtn);
+      return;
+    }
+
+    let secrets;
+    try {
+      secrets = await this.derivePasswordSecrets(actualPassword, verifier);
+    } catch (e) {
+      console.warn('Could not verify password:', e.message);
+      this.showError(errorDiv, 'Password check is unavailable in this browser. Please try a different browser.');
+      this.resetSubmitButton(submitBtn);
+      return;
+    }
+
+    if (bytesEqual(secrets.hash, base64ToBytes(verifier.hash))) {
+      this.clearFailedAttempts(group);
+      this.authenticateUser(bytesToBase64(secrets.contentKey), group);
+      this.closePasswordModal();
       
-      if (actualPassword === this.correctPassword) {
-        this.authenticateUser();
-        this.hidePasswordModal();
-        
-        // Check if we're on homepage (project card click) or case study page
-        const isCaseStudy = document.body.classList.contains('case-study-page');
-        if (isCaseStudy) {
-          this.showPageContent();
+      // Check if we're on homepage (project card click) or case study page
+      const isCaseStudy = document.body.classList.contains('case-study-page');
+      if (isCaseStudy) {
+        const unlocked = await this.showPageContent();
+        if (unlocked) {
           announceToScreenReader('Access granted. Project content is now available.');
-        } else {
-          // We're on homepage, navigate to the target project
-          this.navigateToProject();
         }
       } else {
-        this.showError(errorDiv, 'Incorrect password. Please try again.');
-        if (input) {
-          input.classList.add('error');
-          input.focus();
-          input.select();
-        }
+        // We're on homepage, navigate to the target project
+        this.navigateToProject();
       }
+    } else {
+      const { failures } = this.recordFailedAttempt(group);
+      const message = failures >= this.maxAttempts
+        ? 'Too many incorrect attempts.'
+        : 'Incorrect password. Please try again.';
+      
+      this.showError(errorDiv, message);
+      if (input) {
+        input.classList.add('error');
+        input.focus();
+        input.select();
+      }
+    }
+
+    this.resetSubmitButton(submitBtn);
+    this.startThrottleCountdown(group);
+  }
+
+  getAttemptState(group) {
+    try {
+      const state = JSON.parse(localStorage.getItem(`${this.attemptsKey}:${group}`));
+      
+      // Forget failures a day after the last wait ended
+      if (!state || Date.now() - state.nextAttemptAt > this.attemptsMemory) {
+        return { failures: 0, nextAttemptAt: 0 };
+      }
+      return state;
+    } catch (e) {
+      return { failures: 0, nextAttemptAt: 0 };
+    }
+  }
+
+  recordFailedAttempt(group) {
+    const state = this.getAttemptState(group);
+    state.failures += 1;
+    state.nextAttemptAt = Date.now() + this.getThrottleDelay(state.failures);
+
+    try {
+      localStorage.setItem(`${this.attemptsKey}:${group}`, JSON.stringify(state));
+    } catch (e) {
+      console.warn('Could not save password attempts:', e);
+    }
+
+    return state;
+  }
+
+  clearFailedAttempts(group) {
+    try {
+      localStorage.removeItem(`${this.attemptsKey}:${group}`);
+    } catch (e) {
+      console.warn('Could not clear password attempts:', e);
+    }
+  }
+
+  /**
+   * Wait imposed after a number of consecutive failures: 1s, 2s, 4s, 8s,
+   * then a lockout that doubles with every further failure
+   * @param {number} failures - Consecutive failed attempts
+   * @returns {number} Delay in milliseconds
+   */
+  getThrottleDelay(failures) {
+    const delay = failures < this.maxAttempts
+      ? 1000 * 2 ** (failures - 1)
+      : this.lockoutDuration * 2 ** (failures - this.maxAttempts);
+
+    return Math.min(delay, this.maxThrottleDelay);
+  }
+
+  getRemainingWait(group) {
+    return Math.max(0, this.getAttemptState(group).nextAttemptAt - Date.now());
+  }
+
+  startThrottleCountdown(group) {
+    const throttleStatus = document.getElementById('password-throttle');
+    const submitBtn = document.querySelector('.password-submit-btn');
+    const remaining = this.getRemainingWait(group);
+
+    clearInterval(this.countdownTimer);
+    if (!throttleStatus || remaining <= 0) return;
 
-      // Re-enable button
-      if (submitBtn) {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Access Project';
+    // Short waits are covered by the incorrect password alert
+    const shouldAnnounce = remaining > 5000;
+    if (shouldAnnounce) {
+      announceToScreenReader(`Please wait ${formatDuration(remaining)} before trying again.`, 'assertive');
+    }
+
+    const updateCountdown = () => {
+      const wait = this.getRemainingWait(group);
+
+      if (wait <= 0) {
+        this.stopThrottleCountdown();
+        if (shouldAnnounce) {
+          announceToScreenReader('You can try the password again now.');
+        }
+        return;
       }
-    }, 500);
+
+      throttleStatus.hidden = false;
+      throttleStatus.textContent = `Please wait ${formatDuration(wait)} before trying again.`;
+      if (submitBtn) submitBtn.disabled = true;
+    };
+
+    updateCountdown();
+    this.countdownTimer = setInterval(updateCountdown, 1000);
+  }
+
+  stopThrottleCountdown() {
+    const throttleStatus = document.getElementById('password-throttle');
+    const submitBtn = document.querySelector('.password-submit-btn');
+
+    clearInterval(this.countdownTimer);
+    if (throttleStatus) {
+      throttleStatus.hidden = true;
+      throttleStatus.textContent = '';
+    }
+    if (submitBtn) submitBtn.disabled = false;
+  }
+
+  /**
+   * Derive the verifier hash and content key for a password. The first
+   * PBKDF2 block is compared with the stored verifier; the second block is
+   * the AES-GCM key that encrypted case-study content is sealed with.
+   * @param {string} password - Password entered by the visitor
+   * @param {{salt: string, iterations: number}} verifier - Group verifier
+   * @returns {Promise<{hash: Uint8Array, contentKey: Uint8Array}>} Derived secrets
+   */
+  async derivePasswordSecrets(password, verifier) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('SubtleCrypto is not available (a secure context is required)');
+    }
+
+    const { salt, iterations } = verifier;
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password.normalize('NFC')),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const derivedBits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+      keyMaterial,
+      512
+    );
+    const bytes = new Uint8Array(derivedBits);
+
+    return { hash: bytes.slice(0, 32), contentKey: bytes.slice(32) };
+  }
+
+  resetSubmitButton(submitBtn) {
+    this.isVerifying = false;
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Access Project';
+    }
   }
 
   showError(errorDiv, message) {
@@ -1337,57 +4920,41 @@ class PasswordProtectionController {
     }
   }
 
-  maskPasswordInput(input) {
-    // Get the current actual value
-    const currentActual = input.getAttribute('data-actual-value') || '';
-    
-    // Get the new input value
-    const newValue = input.value;
-    
-    // If the new value is longer than current actual, add the new characters
-    if (newValue.length > currentActual.length) {
-      const newChars = newValue.slice(currentActual.length);
-      const updatedActual = currentActual + newChars;
-      input.setAttribute('data-actual-value', updatedActual);
-      input.value = '•'.repeat(updatedActual.length);
-    } else if (newValue.length < currentActual.length) {
-      // Handle deletion
-      const updatedActual = currentActual.slice(0, newValue.length);
-      input.setAttribute('data-actual-value', updatedActual);
-      input.value = '•'.repeat(updatedActual.length);
-    }
-  }
-
-  handlePasswordBackspace(input, event) {
-    const actualValue = input.getAttribute('data-actual-value') || '';
-    
-    if (event.key === 'Backspace') {
-      // Remove last character from actual value
-      const newActualValue = actualValue.slice(0, -1);
-      input.setAttribute('data-actual-value', newActualValue);
-      
-      // Update display
-      input.value = '•'.repeat(newActualValue.length);
-    } else if (event.key === 'Delete') {
-      // For delete key, we'll handle it in the input event
-      return;
+  setPasswordVisibility(isVisible) {
+    const input = document.getElementById('password-input');
+    const toggle = document.querySelector('.password-visibility-toggle');
+    if (!input || !toggle) return;
+
+    // Switching type resets the caret in some browsers, so restore it
+    const { selectionStart, selectionEnd } = input;
+    input.type = isVisible ? 'text' : 'password';
+    toggle.setAttribute('aria-pressed', String(isVisible));
+    toggle.setAttribute('aria-label', isVisible ? 'Hide password' : 'Show password');
+
+    if (document.activeElement === input) {
+      input.setSelectionRange(selectionStart, selectionEnd);
     }
   }
 
   getActualPassword(input) {
-    return input.getAttribute('data-actual-value') || '';
+    return input ? input.value : '';
   }
 
   resetPasswordModal() {
     const input = document.getElementById('password-input');
     const errorDiv = document.getElementById('password-error');
     const submitBtn = document.querySelector('.password-submit-btn');
+    const rememberInput = document.getElementById('password-remember');
+    
+    if (rememberInput) {
+      rememberInput.checked = false;
+    }
     
     if (input) {
-      // Clear the input field and reset the actual value
+      // Clear the input field and hide the password again
       input.value = '';
-      input.removeAttribute('data-actual-value');
       input.classList.remove('error');
+      this.setPasswordVisibility(false);
     }
     
     if (errorDiv) {
@@ -1400,49 +4967,67 @@ class PasswordProtectionController {
       submitBtn.disabled = false;
       submitBtn.textContent = 'Access Project';
     }
+    
+    this.stopThrottleCountdown();
   }
 
-  authenticateUser() {
-    const authData = {
-      timestamp: Date.now(),
-      authenticated: true
-    };
-    
-    try {
-      sessionStorage.setItem(this.sessionKey, JSON.stringify(authData));
-    } catch (e) {
-      console.warn('Could not save authentication to session storage:', e);
-    }
+  authenticateUser(contentKey, group = this.getActiveGroup(), expiresAt = null) {
+    const rememberInput = document.getElementById('password-remember');
+    const remember = Boolean(rememberInput && rememberInput.checked && !expiresAt);
+
+    this.session.authenticate(group, { contentKey, expiresAt, remember });
   }
 
-  isAuthenticated() {
-    try {
-      const authData = sessionStorage.getItem(this.sessionKey);
-      if (!authData) return false;
+  isAuthenticated(group = this.getActiveGroup()) {
+    return this.session.isAuthenticated(group);
+  }
 
-      const parsed = JSON.parse(authData);
-      const now = Date.now();
-      
-      // Check if session is still valid
-      if (now - parsed.timestamp > this.sessionExpiry) {
-        sessionStorage.removeItem(this.sessionKey);
-        return false;
+  logout(group = this.getActiveGroup()) {
+    this.session.logout(group);
+    announceToScreenReader('Logged out successfully');
+  }
+
+  /**
+   * Follow unlocks and locks made elsewhere: the nav lock button, or another tab
+   */
+  setupSessionSync() {
+    document.addEventListener('protection:authenticated', (e) => {
+      const { group, remote } = e.detail;
+      if (!remote || !this.dialog.isOpen || group !== this.getActiveGroup()) return;
+
+      // Unlocked in another tab while this one was waiting for the password
+      this.closePasswordModal();
+      if (document.body.classList.contains('case-study-page')) {
+        this.showPageContent();
+      } else {
+        this.navigateToProject();
       }
+    });
 
-      return parsed.authenticated === true;
-    } catch (e) {
-      console.warn('Could not check authentication:', e);
-      return false;
-    }
+    document.addEventListener('protection:locked', (e) => {
+      const isCaseStudy = document.body.classList.contains('case-study-page');
+      if (!isCaseStudy || e.detail.group !== getProtectionGroup(document.body)) return;
+
+      if (e.detail.reason === 'expired') {
+        this.relockPage();
+      } else {
+        // Reload so the gate runs again and decrypted content leaves memory
+        window.location.reload();
+      }
+    });
   }
 
-  logout() {
-    try {
-      sessionStorage.removeItem(this.sessionKey);
-      announceToScreenReader('Logged out successfully');
-    } catch (e) {
-      console.warn('Could not clear authentication:', e);
-    }
+  /**
+   * Lock the page again after the session expires, keeping the reader's place.
+   * Content is hidden rather than removed so the scroll position survives.
+   */
+  relockPage() {
+    if (this.dialog.isOpen) return;
+
+    this.resumeScrollY = window.scrollY;
+    document.body.classList.add('is-relocked');
+    this.showPasswordModal();
+    this.showError(document.getElementById('password-error'), 'Your session has expired. Enter the password to keep reading.');
   }
 
   hidePageContent() {
@@ -1456,7 +5041,11 @@ class PasswordProtectionController {
     if (footer) footer.style.display = 'none';
   }
 
-  showPageContent() {
+  async showPageContent() {
+    // Decrypt protected content before anything is shown
+    const unlocked = await this.decryptPageContent();
+    if (!unlocked) return false;
+
     // Show all main content
     const mainContent = document.querySelector('.main');
     const navHeader = document.querySelector('.nav-header');
@@ -1465,23 +5054,63 @@ class PasswordProtectionController {
     if (mainContent) mainContent.style.display = '';
     if (navHeader) navHeader.style.display = '';
     if (footer) footer.style.display = '';
+
+    // Return to where the reader was when the session expired
+    if (document.body.classList.contains('is-relocked')) {
+      document.body.classList.remove('is-relocked');
+      if (this.resumeScrollY !== null) {
+        window.scrollTo({ top: this.resumeScrollY, behavior: 'auto' });
+        this.resumeScrollY = null;
+      }
+    }
+
+    document.dispatchEvent(new CustomEvent('protectedcontent:visible', { detail: { root: mainContent } }));
+    return true;
+  }
+
+  /**
+   * Replace an encrypted <main> payload (see tools/protect-case-study.js)
+   * with its decrypted markup, using the content key saved at unlock
+   * @returns {Promise<boolean>} Whether the page content is readable
+   */
+  async decryptPageContent() {
+    const mainContent = document.querySelector('.main[data-encrypted]');
+    const payloadScript = mainContent && mainContent.querySelector('.protected-payload');
+    if (!payloadScript) return true;
+
+    const group = this.getActiveGroup();
+
+    try {
+      const payload = JSON.parse(payloadScript.textContent);
+      const { contentKey } = this.session.get(group) || {};
+      if (!contentKey) throw new Error('No content key in session');
+
+      mainContent.innerHTML = await decryptPayload(payload, contentKey);
+      mainContent.removeAttribute('data-encrypted');
+      document.dispatchEvent(new CustomEvent('protectedcontent:unlocked', { detail: { root: mainContent } }));
+      return true;
+    } catch (e) {
+      console.warn('Could not decrypt protected content:', e.message);
+      this.session.remove(group);
+      this.showPasswordModal();
+      this.showError(document.getElementById('password-error'), 'This session can no longer unlock the project. Please enter the password again.');
+      return false;
+    }
   }
 
   navigateToProject() {
-    // Get the target URL from the project card controller
+    // Get the target URL from the project card controller; PageTransitionController
+    // (scripts/page-transitions.js) animates the change where the browser supports it
     const projectCardController = window.projectCardController;
     if (projectCardController && projectCardController.targetUrl) {
-      setTimeout(() => {
-        window.location.href = projectCardController.targetUrl;
-      }, 300);
+      window.location.href = projectCardController.targetUrl;
     }
   }
 
   redirectToHomepage() {
-    // Small delay to allow modal to close smoothly
-    setTimeout(() => {
-      window.location.href = '/';
-    }, 300);
+    // The logo links back to this project's card on the homepage
+    const logoLink = document.querySelector('.logo-link');
+    window.location.href = logoLink ? logoLink.href : '/';
   }
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Page transitions for Andrew Malone Portfolio
+ *
+ * Loaded without defer in the <head> of the homepage and case studies, ahead
+ * of scripts/main.js. pagereveal fires before the page's first frame, which
+ * can come before a deferred script runs, so its listener has to be in place
+ * while the document is still being parsed.
+ */
+
+// ========================================
+// PAGE TRANSITIONS
+// ========================================
+
+/**
+ * Same-origin page transitions. Browsers with cross-document View
+ * Transitions (opted in with @view-transition in main.css) morph a project
+ * card's cover into the case-study hero and back; others load the page as
+ * usual. Also puts the reader back where they were when they return.
+ */
+class PageTransitionController {
+  constructor() {
+    this.coverName = 'project-cover';
+    this.storageKey = 'portfolio_scroll_positions';
+    this.init();
+  }
+
+  init() {
+    window.addEventListener('pageswap', (e) => this.handlePageSwap(e));
+    window.addEventListener('pagereveal', (e) => this.handlePageReveal(e));
+    window.addEventListener('pagehide', () => this.saveScrollPosition());
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.scheduleScrollRestore());
+    } else {
+      this.scheduleScrollRestore();
+    }
+  }
+
+  /**
+   * Restore the scroll position once there is content to scroll through.
+   * Encrypted case studies only get theirs after they are decrypted.
+   */
+  scheduleScrollRestore() {
+    if (document.querySelector('.main[data-encrypted]')) {
+      document.addEventListener('protectedcontent:visible', () => this.restoreScrollPosition(), { once: true });
+    } else {
+      this.restoreScrollPosition();
+    }
+  }
+
+  /**
+   * Leaving this page: name the cover of the card being opened
+   * @param {PageSwapEvent} e - Fired just before the old page is captured
+   */
+  handlePageSwap(e) {
+    if (!e.viewTransition || !e.activation || !e.activation.entry) return;
+
+    // Dialogs closed just before navigating would be captured mid-fade
+    document.querySelectorAll('[aria-modal="true"]').forEach(dialog => {
+      dialog.style.transition = 'none';
+    });
+
+    // Cards only navigate once their group is unlocked. The hero of an
+    // encrypted case study is only added after the first frame, once it's
+    // decrypted, so the cover morphs into its same-size placeholder instead
+    // (see tools/protect-case-study.js)
+    const card = this.findCard(e.activation.entry.url);
+    if (card) this.nameCover(card, e.viewTransition);
+  }
+
+  /**
+   * Arriving on this page: name the cover of the card being returned to
+   * @param {PageRevealEvent} e - Fired before the first frame, and on bfcache restores
+   */
+  handlePageReveal(e) {
+    document.querySelectorAll('[aria-modal="true"]').forEach(dialog => {
+      dialog.style.transition = '';
+    });
+    if (!e.viewTransition || !window.navigation || !navigation.activation || !navigation.activation.from) return;
+
+    const card = this.findCard(navigation.activation.from.url);
+    if (card) this.nameCover(card, e.viewTransition);
+  }
+
+  findCard(url) {
+    const { pathname } = new URL(url, window.location.href);
+    return Array.from(document.querySelectorAll('.project-card')).find(card =>
+      new URL(card.getAttribute('href'), window.location.href).pathname === pathname
+    );
+  }
+
+  nameCover(card, transition) {
+    const image = card.querySelector('.project-image-img');
+    if (!image) return;
+
+    image.style.viewTransitionName = this.coverName;
+    transition.finished.finally(() => {
+      image.style.viewTransitionName = '';
+    });
+  }
+
+  saveScrollPosition() {
+    try {
+      const positions = JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+      positions[window.location.pathname] = window.scrollY;
+      sessionStorage.setItem(this.storageKey, JSON.stringify(positions));
+    } catch (e) {
+      console.warn('Could not save scroll position:', e);
+    }
+  }
+
+  /**
+   * Back/forward loads that weren't served from the bfcache normally get
+   * their scroll position from the browser; fill in when it didn't
+   */
+  restoreScrollPosition() {
+    const [entry] = performance.getEntriesByType('navigation');
+    if (!entry || entry.type !== 'back_forward' || window.location.hash) return;
+
+    let top = 0;
+    try {
+      top = (JSON.parse(sessionStorage.getItem(this.storageKey)) || {})[window.location.pathname] || 0;
+    } catch (e) {
+      console.warn('Could not read scroll position:', e);
+    }
+
+    // Short of the saved position when the page was too short to reach it,
+    // e.g. before protected content was decrypted
+    if (top && window.scrollY < top) {
+      window.scrollTo({ top, behavior: 'auto' });
+    }
+  }
+}
+
+const pageTransitionController = new PageTransitionController();
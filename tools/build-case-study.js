@@ -0,0 +1,656 @@
+#!/usr/bin/env node
+/**
+ * Build a case-study page from Markdown with front matter
+ *
+ * Usage:
+ *   node tools/build-case-study.js case-studies/soteria.md [--out soteria-case-study.html] [--force]
+ *
+ * Front matter sets the header: eyebrow, title, company, product, role, team,
+ * hero, hero_alt and protection, plus optional id, description and
+ * description_long. Text before the first `##` heading becomes the product
+ * overview and each `##` heading starts a content section. Besides headings,
+ * paragraphs, lists, images and raw HTML blocks, the body supports:
+ *
+ *   ::: comparison        Two images with labels as titles, shown as a
+ *   ![Alt](a.webp "Before")  before/after slider
+ *   ![Alt](b.webp "After")
+ *   :::
+ *
+ *   ::: columns           Two or three columns, each starting with `####`
+ *   ::: outcomes          Two columns plus one quote per column, stacked on mobile
+ *
+ *   > Quote text          A testimonial; the last line starting with a dash
+ *   > - Attribution       is the attribution
+ *
+ * Writes `<id>-case-study.html` next to index.html unless --out is given and
+ * refuses to replace an existing page without --force. Run
+ * build-placeholders.js on the new page, then encrypt it if it's protected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fail } = require('./lib/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = 'https://andrewmalone.design';
+const INDENT = '    ';
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const IMAGE_PATTERN = /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/;
+const REQUIRED_FIELDS = ['eyebrow', 'title', 'company', 'product', 'role', 'team', 'hero', 'hero_alt'];
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn heading text into an id, matching slugify() in scripts/main.js
+ * @param {string} text - Heading text
+ * @returns {string} Lowercase slug, or '' if nothing is left
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Give section and subsection headings the ids the site's script would,
+ * so links to them work before scripts run
+ * @param {Array<string>} lines - Markup lines
+ * @param {Set<string>} used - Ids already on the page
+ * @returns {Array<string>} Lines with heading ids added
+ */
+function addHeadingIds(lines, used) {
+  return lines.map(line => line.replace(
+    /<(h[23]) class="((?:sub)?section-heading)">(.*?)<\/\1>/,
+    (match, tag, className, html) => {
+      const text = html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+      const slug = slugify(text) || 'section';
+      let id = slug;
+      for (let i = 2; used.has(id); i++) {
+        id = `${slug}-${i}`;
+      }
+      used.add(id);
+      return `<${tag} class="${className}" id="${id}">${html}</${tag}>`;
+    }
+  ));
+}
+
+/**
+ * Indent lines of markup by a number of levels
+ * @param {Array<string>} lines - Markup lines
+ * @param {number} depth - Indentation levels
+ * @returns {Array<string>} Indented lines; blank lines stay empty
+ */
+function indent(lines, depth = 1) {
+  return lines.map(line => (line ? INDENT.repeat(depth) + line : line));
+}
+
+/**
+ * Split front matter from the Markdown body
+ * @param {string} source - Markdown file contents
+ * @returns {{data: Object, body: string, bodyLine: number}} Front matter fields and body
+ */
+function parseFrontMatter(source) {
+  const match = source.match(FRONT_MATTER_PATTERN);
+  if (!match) throw new Error('Missing front matter: start the file with a --- block.');
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const field = line.match(/^([a-z_]+):\s*(.*)$/);
+    if (!field) throw new Error(`Front matter line ${index + 2}: expected "key: value".`);
+
+    data[field[1]] = field[2].replace(/^(["'])(.*)\1$/, '$2');
+  });
+
+  return {
+    data,
+    body: source.slice(match[0].length),
+    bodyLine: match[0].split('\n').length
+  };
+}
+
+/**
+ * Render inline Markdown: code, links, bold and italics
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  return escapeText(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => `<a href="${href.replace(/"/g, '%22')}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>');
+}
+
+function isBlockStart(line) {
+  return /^(:::|#{1,6}\s|[-*]\s|>|<)/.test(line) || IMAGE_PATTERN.test(line);
+}
+
+/**
+ * Group Markdown lines into blocks
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} firstLine - Line number of the first line, for error messages
+ * @returns {Array<Object>} Blocks
+ */
+function parseBlocks(lines, firstLine = 1) {
+  const blocks = [];
+  let i = 0;
+
+  // Collect lines while they match, transforming each
+  const collect = (test, strip) => {
+    const collected = [];
+    while (i < lines.length && test(lines[i])) collected.push(strip(lines[i++]));
+    return collected;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const lineNumber = firstLine + i;
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      i++;
+    } else if (trimmed.startsWith(':::')) {
+      const name = trimmed.slice(3).trim();
+      if (!name) throw new Error(`Line ${lineNumber}: closing ::: without an opening block.`);
+
+      const end = lines.findIndex((candidate, index) => index > i && candidate.trim() === ':::');
+      if (end === -1) throw new Error(`Line ${lineNumber}: "::: ${name}" is never closed.`);
+
+      blocks.push({ type: 'container', name, line: lineNumber, blocks: parseBlocks(lines.slice(i + 1, end), lineNumber + 1) });
+      i = end + 1;
+    } else if (/^#{1,6}\s/.test(trimmed)) {
+      const [, hashes, text] = trimmed.match(/^(#+)\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text, line: lineNumber });
+      i++;
+    } else if (/^[-*]\s/.test(trimmed)) {
+      const items = [];
+      // Unindented lines that don't start another block continue the item
+      while (i < lines.length && lines[i].trim()) {
+        const item = lines[i].trim();
+        if (/^[-*]\s/.test(item)) items.push(item.slice(2).trim());
+        else if (isBlockStart(item)) break;
+        else items[items.length - 1] += ` ${item}`;
+        i++;
+      }
+      blocks.push({ type: 'list', items, line: lineNumber });
+    } else if (trimmed.startsWith('>')) {
+      const quoteLines = collect(candidate => candidate.trim().startsWith('>'), candidate => candidate.trim().replace(/^>\s?/, ''));
+      const last = quoteLines[quoteLines.length - 1];
+      const hasCite = quoteLines.length > 1 && /^(?:-|--|—)\s/.test(last);
+      blocks.push({
+        type: 'quote',
+        text: (hasCite ? quoteLines.slice(0, -1) : quoteLines).join(' '),
+        cite: hasCite ? last.replace(/^(?:-|--|—)\s+/, '') : null,
+        line: lineNumber
+      });
+    } else if (IMAGE_PATTERN.test(trimmed)) {
+      const images = collect(candidate => IMAGE_PATTERN.test(candidate.trim()), candidate => {
+        const [, alt, src, title] = candidate.trim().match(IMAGE_PATTERN);
+        return { alt, src, title };
+      });
+      blocks.push({ type: 'images', images, line: lineNumber });
+    } else if (trimmed.startsWith('<')) {
+      blocks.push({ type: 'html', lines: collect(candidate => candidate.trim(), candidate => candidate), line: lineNumber });
+    } else {
+      const text = collect(candidate => candidate.trim() && !isBlockStart(candidate.trim()), candidate => candidate.trim());
+      blocks.push({ type: 'paragraph', text: text.join(' '), line: lineNumber });
+    }
+  }
+
+  return blocks;
+}
+
+function renderImage(image, className) {
+  return [
+    `<img src="${escapeAttribute(image.src)}"`,
+    `     alt="${escapeAttribute(image.alt)}"`,
+    `     class="${className}"`,
+    '     loading="lazy">'
+  ];
+}
+
+function renderQuote(quote, className = 'testimonial-quote') {
+  return [
+    `<blockquote class="${className}">`,
+    ...indent([renderInline(quote.text)]),
+    ...indent(quote.cite ? [`<cite class="quote-attribution">- ${renderInline(quote.cite)}</cite>`] : []),
+    '</blockquote>'
+  ];
+}
+
+/**
+ * Split blocks into columns, each starting at a `####` heading
+ * @param {Object} container - Container block
+ * @returns {Array<{heading: string, blocks: Array<Object>}>} Columns
+ */
+function splitColumns(container) {
+  const columns = [];
+
+  container.blocks.filter(block => block.type !== 'quote').forEach(block => {
+    if (block.type === 'heading' && block.level === 4) {
+      columns.push({ heading: block.text, blocks: [] });
+    } else if (!columns.length) {
+      throw new Error(`Line ${block.line}: start each column in "::: ${container.name}" with a #### heading.`);
+    } else {
+      columns[columns.length - 1].blocks.push(block);
+    }
+  });
+
+  return columns;
+}
+
+function renderColumn(column, className = 'column') {
+  return [
+    `<div class="${className}">`,
+    ...indent([`<h4 class="column-heading">${renderInline(column.heading)}</h4>`, ...renderBlocks(column.blocks)]),
+    '</div>'
+  ];
+}
+
+const CONTAINERS = {
+  comparison(container) {
+    const images = container.blocks.flatMap(block => (block.type === 'images' ? block.images : []));
+    if (images.length !== 2 || images.some(image => !image.title)) {
+      throw new Error(`Line ${container.line}: "::: comparison" needs two images, each with a label: ![Alt](src "Label").`);
+    }
+
+    return [
+      '<div class="design-iterations">',
+      ...indent([
+        '<div class="iteration-comparison">',
+        ...indent(images.flatMap(image => [
+          '<div class="iteration-version">',
+          ...indent([...renderImage(image, 'iteration-image'), `<div class="version-label">${escapeText(image.title)}</div>`]),
+          '</div>'
+        ])),
+        '</div>'
+      ]),
+      '</div>'
+    ];
+  },
+
+  columns(container) {
+    const columns = splitColumns(container);
+    if (columns.length < 2 || columns.length > 3) {
+      throw new Error(`Line ${container.line}: "::: columns" needs two or three #### columns.`);
+    }
+
+    return [
+      `<div class="${columns.length === 3 ? 'three' : 'two'}-column-list">`,
+      ...indent(columns.flatMap(column => renderColumn(column))),
+      '</div>'
+    ];
+  },
+
+  outcomes(container) {
+    const columns = splitColumns(container);
+    const quotes = container.blocks.filter(block => block.type === 'quote');
+    if (columns.length !== 2 || quotes.length > 2) {
+      throw new Error(`Line ${container.line}: "::: outcomes" needs two #### columns and up to two quotes.`);
+    }
+
+    // Side by side on desktop; each quote follows its column on mobile
+    const desktop = [
+      '<div class="two-column-list">',
+      ...indent(columns.flatMap(column => renderColumn(column))),
+      '</div>'
+    ];
+    if (quotes.length) {
+      desktop.push(
+        '',
+        '<!-- Quotes Section -->',
+        '<div class="quotes-section two-column-list">',
+        ...indent(quotes.flatMap(quote => renderQuote(quote))),
+        '</div>'
+      );
+    }
+
+    const mobile = columns.flatMap((column, index) => [
+      ...(index ? [''] : []),
+      ...renderColumn(column, 'mobile-outcome-item'),
+      ...(quotes[index] ? ['', ...renderQuote(quotes[index], 'testimonial-quote mobile-quote')] : [])
+    ]);
+
+    return [
+      '<!-- Desktop Layout -->',
+      '<div class="outcome-desktop-layout">',
+      ...indent(desktop),
+      '</div>',
+      '',
+      '<!-- Mobile Layout -->',
+      '<div class="outcome-mobile-layout">',
+      ...indent(mobile),
+      '</div>'
+    ];
+  }
+};
+
+/**
+ * Render blocks inside a content section
+ * @param {Array<Object>} blocks - Blocks from parseBlocks()
+ * @returns {Array<string>} Markup lines
+ */
+function renderBlocks(blocks) {
+  const output = [];
+
+  blocks.forEach((block, index) => {
+    const previous = blocks[index - 1];
+    let lines;
+
+    switch (block.type) {
+      case 'heading':
+        if (block.level < 3 || block.level > 4) {
+          throw new Error(`Line ${block.line}: use ## for sections, ### for subsections and #### for column headings.`);
+        }
+        lines = block.level === 3
+          ? [`<h3 class="subsection-heading">${renderInline(block.text)}</h3>`]
+          : [`<h4 class="column-heading">${renderInline(block.text)}</h4>`];
+        break;
+      case 'paragraph':
+        lines = [`<p class="section-text">${renderInline(block.text)}</p>`];
+        break;
+      case 'list':
+        lines = ['<ul class="section-list">', ...indent(block.items.map(item => `<li>${renderInline(item)}</li>`)), '</ul>'];
+        break;
+      case 'images':
+        lines = block.images.length === 1
+          ? ['<div class="insights-visual">', ...indent(renderImage(block.images[0], 'insights-image')), '</div>']
+          : ['<div class="solution-stack">', ...indent(block.images.flatMap(image => renderImage(image, 'solution-image'))), '</div>'];
+        break;
+      case 'quote': {
+        // Consecutive quotes sit side by side
+        if (previous && previous.type === 'quote') return;
+
+        const quotes = [block];
+        for (let next = index + 1; blocks[next] && blocks[next].type === 'quote'; next++) quotes.push(blocks[next]);
+        lines = quotes.length === 1
+          ? renderQuote(block)
+          : ['<div class="quotes-section two-column-list">', ...indent(quotes.flatMap(quote => renderQuote(quote))), '</div>'];
+        break;
+      }
+      case 'html': {
+        const shared = Math.min(...block.lines.map(line => line.match(/^\s*/)[0].length));
+        lines = block.lines.map(line => line.slice(shared));
+        break;
+      }
+      case 'container':
+        if (!CONTAINERS[block.name]) {
+          throw new Error(`Line ${block.line}: unknown block "::: ${block.name}". Use ${Object.keys(CONTAINERS).join(', ')}.`);
+        }
+        lines = CONTAINERS[block.name](block);
+        break;
+      default:
+        throw new Error(`Line ${block.line}: unsupported block.`);
+    }
+
+    // Headings sit directly above their content
+    if (output.length && !(previous && previous.type === 'heading')) output.push('');
+    output.push(...lines);
+  });
+
+  return output;
+}
+
+/**
+ * Render the case-study header from front matter and the overview text
+ * @param {Object} data - Front matter
+ * @param {Array<Object>} overview - Blocks before the first section
+ * @returns {Array<string>} Markup lines
+ */
+function renderHeader(data, overview) {
+  const paragraphs = overview.filter(block => block.type === 'paragraph');
+  const meta = [['Product', data.product], ['Role', data.role], ['Team', data.team]];
+
+  return [
+    '<!-- Case Study Header -->',
+    '<section class="case-study-header">',
+    ...indent([
+      '<div class="case-study-meta">',
+      ...indent([
+        '<a href="index.html#work-title" class="case-study-back">Back to all work</a>',
+        `<div class="case-study-eyebrow">${escapeText(data.eyebrow)}</div>`,
+        '<div class="case-study-divider"></div>',
+        `<h1 class="case-study-title">${escapeText(data.title)}</h1>`,
+        `<div class="case-study-company">${escapeText(data.company)}</div>`
+      ]),
+      '</div>',
+      '',
+      '<!-- Project Meta Grid -->',
+      '<div class="project-meta-grid">',
+      ...indent(meta.flatMap(([label, value]) => [
+        '<div class="meta-item">',
+        ...indent([`<div class="meta-label">${label}</div>`, `<div class="meta-value">${escapeText(value)}</div>`]),
+        '</div>'
+      ])),
+      '</div>',
+      ...(paragraphs.length ? [
+        '',
+        '<!-- Product Overview -->',
+        '<div class="product-overview">',
+        ...indent(paragraphs.map(block => `<p class="product-description">${renderInline(block.text)}</p>`)),
+        '</div>'
+      ] : []),
+      '',
+      '<!-- Hero Image -->',
+      '<div class="case-study-hero">',
+      ...indent(renderImage({ src: data.hero, alt: data.hero_alt }, 'case-study-hero-img')),
+      '</div>'
+    ]),
+    '</section>'
+  ];
+}
+
+/**
+ * Render the case-study content, one `.content-section` per `##` heading
+ * @param {Array<Object>} blocks - Blocks from the first section on
+ * @returns {Array<string>} Markup lines
+ */
+function renderContent(blocks) {
+  const sections = [];
+
+  blocks.forEach(block => {
+    if (block.type === 'heading' && block.level === 2) {
+      sections.push({ heading: block.text, blocks: [] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  });
+
+  return [
+    '<!-- Case Study Content -->',
+    '<section class="case-study-content">',
+    ...indent(sections.flatMap((section, index) => [
+      ...(index ? [''] : []),
+      `<!-- ${section.heading.replace(/--/g, '-')} Section -->`,
+      '<div class="content-section">',
+      ...indent([`<h2 class="section-heading">${renderInline(section.heading)}</h2>`, ...renderBlocks(section.blocks)]),
+      '</div>'
+    ])),
+    '</section>'
+  ];
+}
+
+/**
+ * Build a full case-study page
+ * @param {string} source - Markdown file contents
+ * @param {{id: string, page: string}} target - Project id, used for the logo
+ *   link back to its card, and the page's file name
+ * @returns {string} Page HTML
+ */
+function buildCaseStudy(source, { id, page }) {
+  const { data, body, bodyLine } = parseFrontMatter(source);
+  const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+  if (missing.length) throw new Error(`Missing front matter: ${missing.join(', ')}.`);
+
+  const blocks = parseBlocks(body.split(/\r?\n/), bodyLine + 1);
+  const h1 = blocks.find(block => block.type === 'heading' && block.level === 1);
+  if (h1) throw new Error(`Line ${h1.line}: the page title comes from front matter; start sections with ##.`);
+
+  const firstSection = blocks.findIndex(block => block.type === 'heading' && block.level === 2);
+  if (firstSection === -1) throw new Error('No sections found: start each section with a ## heading.');
+
+  const pageTitle = `${data.eyebrow} Case Study - Andrew Malone`;
+  const description = data.description || `Case study: ${data.title}`;
+  const longDescription = data.description_long || description;
+  const pageUrl = `${SITE_URL}/${page}`;
+  const heroUrl = new URL(data.hero, `${SITE_URL}/`).href;
+  const protection = data.protection && data.protection !== 'public'
+    ? ` data-protection="${escapeAttribute(data.protection)}"`
+    : '';
+
+  const main = addHeadingIds([
+    ...renderHeader(data, blocks.slice(0, firstSection)),
+    '',
+    ...renderContent(blocks.slice(firstSection))
+  ], new Set(['main-content']));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeText(pageTitle)}</title>
+    <meta name="description" content="${escapeAttribute(description)}">
+
+    <!-- Open Graph Meta Tags -->
+    <meta property="og:title" content="${escapeAttribute(pageTitle)}">
+    <meta property="og:description" content="${escapeAttribute(longDescription)}">
+    <meta property="og:type" content="article">
+    <meta property="og:url" content="${escapeAttribute(pageUrl)}">
+    <meta property="og:image" content="${escapeAttribute(heroUrl)}">
+    <meta property="og:site_name" content="Andrew Malone - Product Designer">
+
+    <!-- Twitter Card Meta Tags -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeAttribute(pageTitle)}">
+    <meta name="twitter:description" content="${escapeAttribute(longDescription)}">
+    <meta name="twitter:image" content="${escapeAttribute(heroUrl)}">
+
+    <!-- Favicon -->
+    <link rel="icon" type="image/x-icon" href="/assets/icons/favicon/favicon.ico">
+    <link rel="icon" type="image/png" sizes="16x16" href="/assets/icons/favicon/favicon-16x16.png">
+    <link rel="icon" type="image/png" sizes="32x32" href="/assets/icons/favicon/favicon-32x32.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="/assets/icons/favicon/apple-touch-icon.png">
+    <link rel="icon" type="image/png" sizes="192x192" href="/assets/icons/favicon/android-chrome-192x192.png">
+    <link rel="icon" type="image/png" sizes="512x512" href="/assets/icons/favicon/android-chrome-512x512.png">
+
+    <link rel="stylesheet" href="styles/main.css">
+    <script src="scripts/image-policy.js"></script>
+    <script src="scripts/page-transitions.js"></script>
+    <script src="scripts/main.js" defer></script>
+</head>
+<body class="case-study-page"${protection}>
+    <!-- Skip Link for Accessibility -->
+    <a href="#main-content" class="skip-link">Skip to main content</a>
+
+    <!-- Navigation Header -->
+    <header class="nav-header" role="banner">
+        <div class="nav-container">
+            <!-- Logo -->
+            <div class="nav-logo">
+                <a href="/#project-${escapeAttribute(id)}" class="logo-link">
+                    <img src="assets/icons/AndrewMalone_Logo.svg"
+                         alt="Andrew Malone logo"
+                         class="logo-svg">
+                </a>
+            </div>
+
+            <!-- Navigation -->
+            <nav class="nav-menu" role="navigation" aria-label="Main navigation">
+                <ul class="nav-list">
+                    <li class="nav-item">
+                        <a href="index.html#work-title" class="nav-link">Work</a>
+                    </li>
+                    <li class="nav-item">
+                        <a href="index.html#contact" class="nav-link">Contact</a>
+                    </li>
+                </ul>
+            </nav>
+
+            <!-- Mobile Menu Toggle -->
+            <button class="mobile-menu-toggle" aria-label="Toggle navigation menu" aria-expanded="false">
+                <span class="hamburger-line"></span>
+                <span class="hamburger-line"></span>
+                <span class="hamburger-line"></span>
+            </button>
+        </div>
+    </header>
+
+    <!-- Main Content -->
+    <main id="main-content" class="main">
+        <div class="container">
+${indent(main, 3).join('\n')}
+
+        </div>
+    </main>
+
+    <!-- Footer -->
+    <footer class="footer">
+        <div class="container">
+            <p class="footer-text">Andrew Malone © 2024</p>
+        </div>
+    </footer>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    options: {
+      out: { type: 'string' },
+      force: { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const [file] = positionals;
+
+  if (!file) {
+    fail('Usage: node tools/build-case-study.js <case-study.md> [--out <page.html>] [--force]');
+  }
+
+  try {
+    const source = fs.readFileSync(path.resolve(file), 'utf8');
+    const id = parseFrontMatter(source).data.id || path.basename(file, path.extname(file));
+    const output = path.resolve(ROOT, values.out || `${id}-case-study.html`);
+    const name = path.relative(ROOT, output);
+    const html = buildCaseStudy(source, { id, page: path.basename(output) });
+
+    if (fs.existsSync(output) && !values.force) {
+      fail(`${name} already exists. Pass --force to replace it.`);
+    }
+
+    fs.writeFileSync(output, html);
+    console.log(`Wrote ${name}`);
+    console.log(`Next: node tools/build-placeholders.js ${name}`);
+    if (/\sdata-protection="/.test(html)) {
+      console.log(`Then: node tools/protect-case-study.js encrypt ${name}`);
+    }
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { slugify, parseFrontMatter, parseBlocks, renderInline, buildCaseStudy };
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Add blur-up placeholders to the images on the site's pages
+ *
+ * Usage:
+ *   node tools/build-placeholders.js [page.html ...]
+ *
+ * Every <img> under assets/images gets its intrinsic width and height, its
+ * average colour and a tiny blurred preview as `data-placeholder-color` and
+ * `data-placeholder`. LazyLoadingEnhancer shows the preview until the full
+ * image has decoded. Checks every top-level page when none are given, and
+ * the project covers in data/projects.json; run `node tools/build-projects.js`
+ * afterwards to update the cards in index.html.
+ *
+ * Needs `dwebp` from libwebp (e.g. `brew install webp`) to decode images.
+ * Run it on decrypted case studies, before `protect-case-study.js encrypt`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const { fail } = require('./lib/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const IMAGE_PREFIX = 'assets/images/';
+const PREVIEW_SIZE = 16;
+const IMG_PATTERN = /<img\b[^>]*>/g;
+const PLACEHOLDER_ATTRIBUTES = /\s+(?:width|height|data-placeholder|data-placeholder-color)="[^"]*"/g;
+
+/**
+ * Read the dimensions stored in a WebP header
+ * @param {Buffer} data - WebP file contents
+ * @returns {{width: number, height: number}} Image size in pixels
+ */
+function readWebpSize(data) {
+  if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new Error('Not a WebP file');
+  }
+
+  const chunk = data.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8X') {
+    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  throw new Error(`Unknown WebP chunk "${chunk}"`);
+}
+
+/**
+ * Decode a WebP image to a small RGB bitmap with dwebp
+ * @param {string} file - Image path
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {Buffer} RGB pixels, row by row
+ */
+function decodePreview(file, width, height) {
+  const ppm = execFileSync('dwebp', [file, '-quiet', '-resize', String(width), String(height), '-ppm', '-o', '-'], {
+    maxBuffer: 1024 * 1024
+  });
+
+  // Binary PPM: "P6 <width> <height> <maxval>" then one whitespace byte
+  const header = ppm.toString('latin1', 0, 64).match(/^P6\s+\d+\s+\d+\s+\d+\s/);
+  if (!header) throw new Error('dwebp did not return a PPM image');
+
+  return ppm.subarray(header[0].length, header[0].length + width * height * 3);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGB pixels as a PNG
+ * @param {Buffer} pixels - RGB pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8); // Bit depth
+  header.writeUInt8(2, 9); // Truecolour
+
+  // Each row starts with filter type 0 (none)
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(Buffer.from([0]), pixels.subarray(y * width * 3, (y + 1) * width * 3));
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows), { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function averageColor(pixels) {
+  const totals = [0, 0, 0];
+  for (let i = 0; i < pixels.length; i++) totals[i % 3] += pixels[i];
+
+  const count = pixels.length / 3;
+  return `#${totals.map(total => Math.round(total / count).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Build the placeholder for one image
+ * @param {string} file - Image path
+ * @returns {{width: number, height: number, color: string, preview: string}} Placeholder data
+ */
+function createPlaceholder(file) {
+  const { width, height } = readWebpSize(fs.readFileSync(file));
+  const scale = PREVIEW_SIZE / Math.max(width, height);
+  const previewWidth = Math.max(1, Math.round(width * scale));
+  const previewHeight = Math.max(1, Math.round(height * scale));
+  const pixels = decodePreview(file, previewWidth, previewHeight);
+  const png = encodePng(pixels, previewWidth, previewHeight).toString('base64');
+
+  // Blur in SVG so the preview scales smoothly; the alpha table keeps the edges solid
+  const svg = `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${previewWidth} ${previewHeight}'>` +
+    "<filter id='b' color-interpolation-filters='sRGB'><feGaussianBlur stdDeviation='.8'/>" +
+    "<feComponentTransfer><feFuncA type='discrete' tableValues='1 1'/></feComponentTransfer></filter>" +
+    `<image width='100%' height='100%' preserveAspectRatio='none' filter='url(#b)' href='data:image/png;base64,${png}'/></svg>`;
+
+  return {
+    width,
+    height,
+    color: averageColor(pixels),
+    preview: `data:image/svg+xml,${svg.replace(/%/g, '%25').replace(/</g, '%3C').replace(/>/g, '%3E').replace(/#/g, '%23')}`
+  };
+}
+
+/**
+ * Add placeholder attributes to every local image in a page
+ * @param {string} html - Page markup
+ * @param {Function} getPlaceholder - Returns placeholder data for an image src
+ * @returns {{html: string, count: number}} Updated markup and number of images
+ */
+function addPlaceholders(html, getPlaceholder) {
+  let count = 0;
+
+  const output = html.replace(IMG_PATTERN, (tag) => {
+    const src = (tag.match(/\ssrc="([^"]+)"/) || [])[1];
+    if (!src || !src.startsWith(IMAGE_PREFIX)) return tag;
+
+    const { width, height, color, preview } = getPlaceholder(src);
+    const cleanTag = tag.replace(PLACEHOLDER_ATTRIBUTES, '');
+    // Line up new attributes with the tag's last attribute line
+    const indent = (cleanTag.match(/\n([ \t]*)[^\n]*$/) || [null, ' '])[1];
+    const separator = indent === ' ' ? ' ' : `\n${indent}`;
+    const attributes = [
+      `width="${width}" height="${height}"`,
+      `data-placeholder-color="${color}"`,
+      `data-placeholder="${preview}"`
+    ].join(separator);
+
+    count++;
+    return cleanTag.replace(/\s*(\/?)>$/, `${separator}${attributes}$1>`);
+  });
+
+  return { html: output, count };
+}
+
+/**
+ * Add placeholder data to the project covers in the manifest
+ * @param {{projects: Array<Object>}} manifest - Project manifest
+ * @param {Function} getPlaceholder - Returns placeholder data for an image src
+ * @returns {number} Number of covers
+ */
+function addManifestPlaceholders(manifest, getPlaceholder) {
+  manifest.projects.forEach(({ cover }) => {
+    const { width, height, color, preview } = getPlaceholder(cover.srcset[0].src);
+    Object.assign(cover, { width, height, placeholderColor: color, placeholder: preview });
+  });
+
+  return manifest.projects.length;
+}
+
+function main() {
+  const { positionals } = parseArgs({ allowPositionals: true });
+  const pages = positionals.length
+    ? positionals.map(file => path.resolve(ROOT, file))
+    : fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).map(file => path.join(ROOT, file));
+  const cache = new Map();
+
+  const getPlaceholder = (src) => {
+    if (!cache.has(src)) {
+      cache.set(src, createPlaceholder(path.join(ROOT, decodeURI(src))));
+    }
+    return cache.get(src);
+  };
+
+  try {
+    pages.forEach(page => {
+      const html = fs.readFileSync(page, 'utf8');
+      const name = path.relative(ROOT, page);
+
+      if (/<main\b[^>]*data-encrypted/.test(html)) {
+        console.warn(`Skipped ${name}: decrypt it first, then encrypt again afterwards.`);
+        return;
+      }
+
+      const result = addPlaceholders(html, getPlaceholder);
+      if (result.html !== html) fs.writeFileSync(page, result.html);
+      console.log(`${name}: ${result.count} image${result.count === 1 ? '' : 's'}`);
+    });
+
+    if (!positionals.length) {
+      const source = fs.readFileSync(MANIFEST, 'utf8');
+      const manifest = JSON.parse(source);
+      const count = addManifestPlaceholders(manifest, getPlaceholder);
+      const output = `${JSON.stringify(manifest, null, 2)}\n`;
+
+      if (output !== source) fs.writeFileSync(MANIFEST, output);
+      console.log(`${path.relative(ROOT, MANIFEST)}: ${count} cover${count === 1 ? '' : 's'}`);
+    }
+  } catch (e) {
+    if (e.code === 'ENOENT' && e.path === 'dwebp') {
+      fail('dwebp not found. Install libwebp (e.g. `brew install webp`) and try again.');
+    }
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readWebpSize, createPlaceholder, addPlaceholders, addManifestPlaceholders };
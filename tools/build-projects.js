@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the homepage project cards and sitemap.xml from data/projects.json
+ *
+ * Usage:
+ *   node tools/build-projects.js [--check]
+ *
+ * data/projects.json is the one place to add, remove or reorder projects.
+ * This writes its cards into the `.work-grid` of index.html, so the grid
+ * works before scripts load, and lists the site's pages and case studies in
+ * sitemap.xml. These are the only copy of the cards: scripts/main.js binds to
+ * them rather than rendering its own. `--check` exits with an error if either
+ * file is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fail } = require('./lib/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const INDEX_PAGE = path.join(ROOT, 'index.html');
+const SITEMAP = path.join(ROOT, 'sitemap.xml');
+const GRID_PATTERN = /(\n([ \t]*)<div class="work-grid">\n)([\s\S]*?)(\n\2<\/div>)/;
+const COVER_SIZES = '(min-width: 1200px) 576px, (min-width: 1024px) calc(50vw - 24px), calc(100vw - 48px)';
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read and check the project manifest
+ * @param {string} [file] - Manifest path
+ * @returns {{site: string, pages: Array<Object>, projects: Array<Object>}} Manifest
+ */
+function loadManifest(file = MANIFEST) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const ids = new Set();
+
+  manifest.projects.forEach((project, index) => {
+    ['id', 'href', 'eyebrow', 'title', 'company', 'cover'].forEach(field => {
+      if (!project[field]) throw new Error(`Project ${index + 1} is missing "${field}".`);
+    });
+    if (!project.cover.srcset || !project.cover.srcset.length) {
+      throw new Error(`Project "${project.id}" has no cover images.`);
+    }
+    Object.entries(project.tags || {}).forEach(([group, tags]) => {
+      if (!Array.isArray(tags)) throw new Error(`Project "${project.id}" tags.${group} should be a list.`);
+    });
+    if (ids.has(project.id)) throw new Error(`Project id "${project.id}" is used twice.`);
+    ids.add(project.id);
+  });
+
+  return manifest;
+}
+
+/**
+ * Markup for one project card
+ * @param {Object} project - Project from data/projects.json
+ * @param {string} indent - Indentation of the card's opening tag
+ * @returns {string} Card HTML
+ */
+function renderCard(project, indent) {
+  const { cover } = project;
+  const readingTime = project.readingTime ? `${project.readingTime} min read` : '';
+  const label = `View ${project.title} project at ${project.company}${readingTime ? `, ${readingTime}` : ''}`;
+  // Continuation lines line up with the first srcset candidate
+  const srcset = cover.srcset
+    .map(source => `${source.src} ${source.width}w`)
+    .join(`,\n${indent}                     `);
+  const imageAttributes = [
+    `srcset="${escapeHTML(srcset)}"`,
+    `sizes="${COVER_SIZES}"`,
+    `alt="${escapeHTML(cover.alt)}"`,
+    'class="project-image-img"',
+    'loading="lazy"',
+    `width="${cover.width}" height="${cover.height}"`
+  ];
+  if (cover.placeholder) {
+    imageAttributes.push(
+      `data-placeholder-color="${escapeHTML(cover.placeholderColor)}"`,
+      `data-placeholder="${escapeHTML(cover.placeholder)}"`
+    );
+  }
+
+  const lines = [
+    `<!-- Project: ${project.eyebrow} -->`,
+    `<a href="${escapeHTML(project.href)}" class="project-card" id="project-${escapeHTML(project.id)}" data-protection="${escapeHTML(project.protection || 'public')}" aria-label="${escapeHTML(label)}">`,
+    '    <div class="project-image">',
+    `        <img src="${escapeHTML(cover.srcset[0].src)}"`,
+    ...imageAttributes.map((attribute, i) => `             ${attribute}${i === imageAttributes.length - 1 ? '>' : ''}`),
+    '    </div>',
+    '    <div class="project-info">',
+    '        <div class="project-info-content">',
+    `            <div class="project-eyebrow">${escapeHTML(project.eyebrow)}</div>`,
+    `            <h3 class="project-title">${escapeHTML(project.title)}</h3>`,
+    `            <div class="project-company">${escapeHTML(project.company)}</div>`,
+    ...(readingTime ? [`            <div class="project-reading-time">${readingTime}</div>`] : []),
+    '        </div>',
+    '    </div>',
+    '</a>'
+  ];
+
+  return lines.map(line => `${indent}${line}`).join('\n');
+}
+
+/**
+ * Replace the cards in the homepage's work grid
+ * @param {string} html - index.html markup
+ * @param {Array<Object>} projects - Projects from the manifest
+ * @returns {string} Updated markup
+ */
+function renderWorkGrid(html, projects) {
+  const match = html.match(GRID_PATTERN);
+  if (!match) throw new Error('No <div class="work-grid"> found in index.html.');
+
+  const indent = `${match[2]}    `;
+  const cards = projects.map(project => renderCard(project, indent)).join(`\n${indent}\n`);
+
+  return html.replace(GRID_PATTERN, () => `${match[1]}${cards}${match[4]}`);
+}
+
+/**
+ * Build sitemap.xml for the site's pages followed by every case study
+ * @param {{site: string, pages: Array<Object>, projects: Array<Object>}} manifest - Project manifest
+ * @returns {string} Sitemap XML
+ */
+function renderSitemap(manifest) {
+  const [home, ...otherPages] = manifest.pages;
+  const projectPages = manifest.projects.map(project => ({
+    path: `/${project.href}`,
+    lastmod: project.lastmod,
+    changefreq: 'monthly',
+    priority: '0.8'
+  }));
+
+  const urls = [home, ...projectPages, ...otherPages].map(page => [
+    '    <url>',
+    `        <loc>${escapeHTML(new URL(page.path, manifest.site).href)}</loc>`,
+    ...(page.lastmod ? [`        <lastmod>${page.lastmod}</lastmod>`] : []),
+    `        <changefreq>${page.changefreq}</changefreq>`,
+    `        <priority>${page.priority}</priority>`,
+    '    </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const { values } = parseArgs({ options: { check: { type: 'boolean', default: false } } });
+
+  try {
+    const manifest = loadManifest();
+    const outputs = [
+      [INDEX_PAGE, renderWorkGrid(fs.readFileSync(INDEX_PAGE, 'utf8'), manifest.projects)],
+      [SITEMAP, renderSitemap(manifest)]
+    ];
+    let stale = 0;
+
+    outputs.forEach(([file, output]) => {
+      const name = path.relative(ROOT, file);
+      if (fs.readFileSync(file, 'utf8') === output) {
+        console.log(`${name}: up to date`);
+      } else if (values.check) {
+        stale++;
+        console.error(`${name}: out of date`);
+      } else {
+        fs.writeFileSync(file, output);
+        console.log(`${name}: updated`);
+      }
+    });
+
+    if (stale) fail('Run `node tools/build-projects.js` to regenerate.');
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadManifest, renderCard, renderWorkGrid, renderSitemap };
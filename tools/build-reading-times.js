@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Write each case study's estimated reading time into the project manifest
+ *
+ * Usage:
+ *   node tools/build-reading-times.js
+ *
+ * Counts the words and images in the <main> of every case study listed in
+ * data/projects.json and sets the project's `readingTime` (minutes). Project
+ * cards show it as "N min read"; run `node tools/build-projects.js` afterwards
+ * to update the cards in index.html. Uses the same estimate as
+ * estimateReadingMinutes() in scripts/main.js. Encrypted case studies can't
+ * be counted; decrypt them first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fail } = require('./lib/cli');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const MAIN_PATTERN = /<main\b([^>]*)>([\s\S]*?)<\/main>/;
+const WORDS_PER_MINUTE = 200;
+const SECONDS_PER_IMAGE = 10;
+
+/**
+ * Estimate reading time for a page's main content
+ * @param {string} html - Page markup
+ * @returns {number} Whole minutes, at least 1
+ */
+function estimatePageMinutes(html) {
+  const match = html.match(MAIN_PATTERN);
+  if (!match) throw new Error('No <main> element found.');
+  if (match[1].includes('data-encrypted')) throw new Error('Page is encrypted.');
+
+  const content = match[2]
+    .replace(/<(script|noscript|style)\b[\s\S]*?<\/\1>/g, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ');
+  const imageCount = (content.match(/<img\b/g) || []).length;
+  const text = content
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[#a-z0-9]+;/gi, ' ');
+  const wordCount = text.split(/\s+/).filter(word => /\w/.test(word)).length;
+
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE + (imageCount * SECONDS_PER_IMAGE) / 60));
+}
+
+function main() {
+  const source = fs.readFileSync(MANIFEST, 'utf8');
+  const manifest = JSON.parse(source);
+  let failures = 0;
+
+  manifest.projects.forEach(project => {
+    try {
+      project.readingTime = estimatePageMinutes(fs.readFileSync(path.join(ROOT, project.href), 'utf8'));
+      console.log(`${project.href}: ${project.readingTime} min read`);
+    } catch (e) {
+      failures++;
+      console.error(`Skipped ${project.href}: ${e.message}`);
+    }
+  });
+
+  const output = `${JSON.stringify(manifest, null, 2)}\n`;
+  if (output !== source) fs.writeFileSync(MANIFEST, output);
+  if (failures) fail(`${failures} project${failures === 1 ? '' : 's'} not updated.`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { estimatePageMinutes };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Build the search index for the command palette from the case studies
+ *
+ * Usage:
+ *   node tools/build-search-index.js [--password <group>=<password> ...]
+ *
+ * Splits the <main> of every case study in data/projects.json at its section
+ * and subsection headings and writes their text to data/search-index.json.
+ * Sections of password-protected projects are encrypted with the group's
+ * content key, so the browser can only search them once the visitor has
+ * unlocked the project. Asks for each group's password unless it is given
+ * with --password. Works on both readable and encrypted pages; run it again
+ * after editing a case study.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { promptPassword, fail } = require('./lib/cli');
+const { loadPasswordVerifier, deriveContentKey, encryptContent } = require('./lib/protection');
+const { decryptPage } = require('./protect-case-study');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const INDEX = path.join(ROOT, 'data', 'search-index.json');
+const MAIN_PATTERN = /<main\b([^>]*)>([\s\S]*?)<\/main>/;
+const HEADING_PATTERN = /<(h[23])\b[^>]*\bclass="(?:sub)?section-heading"[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…' };
+
+/**
+ * Readable text of a markup fragment
+ * @param {string} html - Markup
+ * @returns {string} Text with whitespace collapsed
+ */
+function toText(html) {
+  return html
+    .replace(/<(script|noscript|style)\b[\s\S]*?<\/\1>/g, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return ENTITIES[name.toLowerCase()] || entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a case study into searchable sections. Text before the first
+ * heading (title and overview) becomes a section without an id.
+ * @param {string} html - Readable page markup
+ * @returns {Array<{id: string|null, heading: string, parent?: string, text: string}>} Sections
+ */
+function extractSections(html) {
+  const match = html.match(MAIN_PATTERN);
+  if (!match) throw new Error('No <main> element found.');
+  if (match[1].includes('data-encrypted')) throw new Error('Page is encrypted.');
+
+  const content = match[2];
+  const headings = Array.from(content.matchAll(HEADING_PATTERN));
+  const titleMatch = content.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/);
+  const sections = [{
+    id: null,
+    heading: titleMatch ? toText(titleMatch[1]) : '',
+    text: toText(content.slice(0, headings.length ? headings[0].index : content.length).replace(/<h1\b[\s\S]*?<\/h1>/, ''))
+  }];
+  let parent = null;
+
+  headings.forEach((heading, i) => {
+    const [markup, tag, id, label] = heading;
+    const end = i + 1 < headings.length ? headings[i + 1].index : content.length;
+    const section = { id, heading: toText(label), text: toText(content.slice(heading.index + markup.length, end)) };
+
+    if (tag === 'h2') {
+      parent = section.heading;
+    } else if (parent) {
+      section.parent = parent;
+    }
+    sections.push(section);
+  });
+
+  return sections;
+}
+
+/**
+ * Read the --password options
+ * @param {Array<string>} values - `group=password` pairs
+ * @returns {Map<string, string>} Passwords by group
+ */
+function parsePasswords(values = []) {
+  return new Map(values.map(value => {
+    const separator = value.indexOf('=');
+    if (separator < 1) throw new Error(`Expected --password <group>=<password>, got "${value}".`);
+    return [value.slice(0, separator), value.slice(separator + 1)];
+  }));
+}
+
+async function main() {
+  const { values } = parseArgs({ options: { password: { type: 'string', multiple: true } } });
+
+  try {
+    const passwords = parsePasswords(values.password);
+    const { projects } = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    const contentKeys = new Map();
+    const entries = [];
+
+    for (const project of projects) {
+      const group = project.protection && project.protection !== 'public' ? project.protection : null;
+      let html = fs.readFileSync(path.join(ROOT, project.href), 'utf8');
+
+      if (group && !contentKeys.has(group)) {
+        const password = passwords.get(group) || await promptPassword(`Password for ${group}`);
+        const verifier = loadPasswordVerifier(group);
+        contentKeys.set(group, { key: deriveContentKey(password, verifier), verifier });
+      }
+      if (group && html.match(MAIN_PATTERN)[1].includes('data-encrypted')) {
+        html = decryptPage(html, contentKeys.get(group).key);
+      }
+
+      const sections = extractSections(html);
+      if (group) {
+        const { key, verifier } = contentKeys.get(group);
+        entries.push({ id: project.id, protection: group, payload: encryptContent(JSON.stringify(sections), key, verifier) });
+      } else {
+        entries.push({ id: project.id, sections });
+      }
+      console.log(`${project.href}: ${sections.length} sections${group ? ` (encrypted for ${group})` : ''}`);
+    }
+
+    fs.writeFileSync(INDEX, `${JSON.stringify({ projects: entries })}\n`);
+    console.log(`Wrote ${path.relative(ROOT, INDEX)}`);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { toText, extractSections };
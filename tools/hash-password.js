@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Generate a PBKDF2 password verifier for case-study protection
+ *
+ * Usage:
+ *   node tools/hash-password.js [--group <group>]            (prompts for the password)
+ *   node tools/hash-password.js [--group <group>] <password>
+ *
+ * Paste the printed object into `passwordVerifiers` in scripts/main.js.
+ * Only the salt, iteration count and derived digests ship to the browser.
+ * Refuses a password that already unlocks another group (any group other
+ * than --group), so unlocking one project never unlocks another.
+ */
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { promptPassword, fail } = require('./lib/cli');
+const {
+  loadPasswordVerifiers,
+  assertDistinctGroups,
+  derivePasswordSecrets,
+  createKeyCheck
+} = require('./lib/protection');
+
+const ITERATIONS = 310000;
+const SALT_BYTES = 16;
+
+/**
+ * Derive a verifier for a password
+ * @param {string} password - Plaintext password
+ * @param {Buffer} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {{salt: string, iterations: number, hash: string, keyCheck: string}} Base64 encoded verifier
+ */
+function createVerifier(password, salt = crypto.randomBytes(SALT_BYTES), iterations = ITERATIONS) {
+  const verifier = { salt: salt.toString('base64'), iterations };
+  const { hash, contentKey } = derivePasswordSecrets(password, verifier);
+
+  return {
+    ...verifier,
+    hash: hash.toString('base64'),
+    keyCheck: createKeyCheck(contentKey)
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: { group: { type: 'string' } },
+    allowPositionals: true
+  });
+  const password = positionals[0] || await promptPassword();
+
+  if (!password) {
+    fail('A password is required.');
+  }
+
+  try {
+    assertDistinctGroups(loadPasswordVerifiers(), { group: values.group, password });
+  } catch (e) {
+    fail(e.message);
+  }
+
+  const verifier = createVerifier(password);
+  console.log(JSON.stringify(verifier, null, 2));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createVerifier };
@@ -0,0 +1,35 @@
+/**
+ * Small helpers shared by the command line tools
+ */
+
+const readline = require('readline');
+
+/**
+ * Read a password from the terminal without echoing it
+ * @param {string} label - Prompt label
+ * @returns {Promise<string>} Entered password
+ */
+function promptPassword(label = 'Password') {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(label)) rl.output.write(text);
+    };
+    rl.question(`${label}: `, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Print a message to stderr and exit with a failure code
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+module.exports = { promptPassword, fail };
@@ -0,0 +1,217 @@
+/**
+ * Password derivation and content encryption shared by the protection tools
+ *
+ * Mirrors PasswordProtectionController in scripts/main.js: PBKDF2-SHA256 over
+ * the verifier salt yields 64 bytes. The first 32 bytes are the published
+ * verifier hash, the last 32 bytes are the AES-256-GCM content key. Invite
+ * links carry the content key and are signed with an ECDSA P-256 private key
+ * that stays with the site owner; the browser checks the signature with the
+ * public key in scripts/main.js and the key against the published keyCheck
+ * (SHA-256 of the content key).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const MAIN_SCRIPT = path.join(ROOT, 'scripts', 'main.js');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Read every password verifier configured in scripts/main.js
+ * @returns {Object<string, {salt: string, iterations: number, hash: string, keyCheck: string}>} Verifiers by group
+ */
+function loadPasswordVerifiers() {
+  const source = fs.readFileSync(MAIN_SCRIPT, 'utf8');
+  const match = source.match(/passwordVerifiers = (\{[\s\S]*?\});/);
+
+  if (!match) {
+    throw new Error(`Could not find passwordVerifiers in ${path.relative(ROOT, MAIN_SCRIPT)}`);
+  }
+
+  return vm.runInNewContext(`(${match[1]})`);
+}
+
+/**
+ * Read the password verifier configured in scripts/main.js for a group
+ * @param {string} group - Protection group, as used in data-protection
+ * @returns {{salt: string, iterations: number, hash: string}} Verifier
+ */
+function loadPasswordVerifier(group) {
+  const verifiers = loadPasswordVerifiers();
+  if (!verifiers[group]) {
+    throw new Error(`No password verifier configured for protection group "${group}".`);
+  }
+
+  return verifiers[group];
+}
+
+/**
+ * Make sure no two groups can be unlocked with the same key: their verifiers
+ * must differ, and a new group's password must not open any other group
+ * @param {Object<string, Object>} verifiers - Verifiers by group
+ * @param {{group: string, password: string}} [candidate] - Password about to be set for a group
+ * @throws {Error} If two groups would share a content key
+ */
+function assertDistinctGroups(verifiers, candidate) {
+  const groupsByKeyCheck = new Map();
+
+  Object.entries(verifiers).forEach(([group, verifier]) => {
+    const other = groupsByKeyCheck.get(verifier.keyCheck);
+    if (other) throw new Error(`Groups "${other}" and "${group}" share one content key. Give each its own password.`);
+    groupsByKeyCheck.set(verifier.keyCheck, group);
+  });
+
+  if (!candidate) return;
+
+  Object.entries(verifiers).forEach(([group, verifier]) => {
+    if (group === candidate.group) return;
+
+    const { hash } = derivePasswordSecrets(candidate.password, verifier);
+    if (crypto.timingSafeEqual(hash, Buffer.from(verifier.hash, 'base64'))) {
+      throw new Error(`This password already unlocks "${group}". Use a different password for each group.`);
+    }
+  });
+}
+
+/**
+ * Read the protection group a page declares on its <body>
+ * @param {string} html - Page markup
+ * @returns {string|null} Group name, or null for public pages
+ */
+function readPageGroup(html) {
+  const match = html.match(/<body\b[^>]*\bdata-protection="([^"]+)"/);
+  return match && match[1] !== 'public' ? match[1] : null;
+}
+
+/**
+ * Derive the verifier hash and content key for a password
+ * @param {string} password - Plaintext password
+ * @param {{salt: string, iterations: number}} verifier - Verifier parameters
+ * @returns {{hash: Buffer, contentKey: Buffer}} Derived secrets
+ */
+function derivePasswordSecrets(password, verifier) {
+  const bits = crypto.pbkdf2Sync(
+    password.normalize('NFC'),
+    Buffer.from(verifier.salt, 'base64'),
+    verifier.iterations,
+    64,
+    'sha256'
+  );
+
+  return { hash: bits.subarray(0, 32), contentKey: bits.subarray(32) };
+}
+
+/**
+ * Derive the content key, rejecting passwords that do not match the verifier
+ * @param {string} password - Plaintext password
+ * @param {{salt: string, iterations: number, hash: string}} verifier - Verifier
+ * @returns {Buffer} AES-256-GCM content key
+ */
+function deriveContentKey(password, verifier) {
+  const { hash, contentKey } = derivePasswordSecrets(password, verifier);
+
+  if (!crypto.timingSafeEqual(hash, Buffer.from(verifier.hash, 'base64'))) {
+    throw new Error('Password does not match the configured verifier.');
+  }
+
+  return contentKey;
+}
+
+/**
+ * Digest of a content key, published so invites can be checked without the password
+ * @param {Buffer} contentKey - AES-256-GCM key
+ * @returns {string} Base64 encoded SHA-256 digest
+ */
+function createKeyCheck(contentKey) {
+  return crypto.createHash('sha256').update(contentKey).digest('base64');
+}
+
+/**
+ * Create the key pair that signs invite tokens
+ * @returns {{privateKey: string, publicKey: string}} PEM private key, and the
+ *   base64 SPKI public key for `inviteVerificationKey` in scripts/main.js
+ */
+function createInviteSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  };
+}
+
+/**
+ * Mint a signed invite token for a protection group. Only the holder of the
+ * private key can sign, so the group and expiry can't be altered. The token
+ * still carries the content key, so whoever holds it can decrypt the group's
+ * pages as it stands: treat an invite like sharing the password.
+ * @param {{group: string, expiresAt: number, contentKey: Buffer, signingKey: string}} invite -
+ *   Group, expiry (ms), content key and PEM private signing key
+ * @returns {string} Token in the form `<payload>.<signature>`, both base64url
+ */
+function createInviteToken({ group, expiresAt, contentKey, signingKey }) {
+  const payload = Buffer.from(JSON.stringify({
+    g: group,
+    exp: Math.floor(expiresAt / 1000),
+    k: contentKey.toString('base64')
+  })).toString('base64url');
+  // WebCrypto expects the raw r || s signature rather than DER
+  const signature = crypto.sign('sha256', Buffer.from(payload), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+
+  return `${payload}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Encrypt a string into the payload format read by the browser
+ * @param {string} plaintext - Content to encrypt
+ * @param {Buffer} contentKey - AES-256-GCM key
+ * @param {{salt: string, iterations: number}} verifier - Verifier parameters
+ * @returns {{v: number, salt: string, iterations: number, iv: string, data: string}} Payload
+ */
+function encryptContent(plaintext, contentKey, verifier) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  // WebCrypto expects the authentication tag appended to the ciphertext
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    v: 1,
+    salt: verifier.salt,
+    iterations: verifier.iterations,
+    iv: iv.toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload produced by encryptContent
+ * @param {{iv: string, data: string}} payload - Encrypted payload
+ * @param {Buffer} contentKey - AES-256-GCM key
+ * @returns {string} Decrypted content
+ */
+function decryptContent(payload, contentKey) {
+  const data = Buffer.from(payload.data, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_BYTES)), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  ROOT,
+  loadPasswordVerifiers,
+  loadPasswordVerifier,
+  assertDistinctGroups,
+  readPageGroup,
+  derivePasswordSecrets,
+  deriveContentKey,
+  createKeyCheck,
+  createInviteSigningKey,
+  createInviteToken,
+  encryptContent,
+  decryptContent
+};
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Mint an expiring invite link that unlocks one protection group
+ *
+ * Usage:
+ *   node tools/mint-invite.js --group soteria [--expires 7d] [--page soteria-case-study.html]
+ *                             [--password <password>] [--base https://andrewmalone.design]
+ *                             [--signing-key .invite-signing-key.pem]
+ *   node tools/mint-invite.js --new-signing-key [--signing-key .invite-signing-key.pem]
+ *
+ * The link carries `?access=<token>`. PasswordProtectionController checks the
+ * signature and expiry, unlocks the group and removes the token from the URL.
+ * Tokens are signed with a private key that never leaves this machine (git
+ * ignores it); `--new-signing-key` creates one and prints the public key to
+ * paste into `inviteVerificationKey` in scripts/main.js.
+ *
+ * The token carries the group's content key, so the expiry only limits the
+ * link itself: anyone holding it could keep the key and read the group's
+ * pages until the password changes. Only send it to people you'd give the
+ * password to, and rotate the password to revoke access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { promptPassword, fail } = require('./lib/cli');
+const { loadPasswordVerifier, deriveContentKey, createInviteSigningKey, createInviteToken } = require('./lib/protection');
+
+const DEFAULT_BASE = 'https://andrewmalone.design';
+const DEFAULT_SIGNING_KEY = path.resolve(__dirname, '..', '.invite-signing-key.pem');
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as `12h` or `7d`
+ * @param {string} value - Duration string
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([hd])$/.exec(value);
+  if (!match) throw new Error(`Invalid duration "${value}". Use hours or days, e.g. 12h or 7d.`);
+
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Create a signing key file, refusing to replace an existing one since that
+ * would invalidate every invite already sent
+ * @param {string} file - Path for the PEM private key
+ * @returns {string} Base64 public key for scripts/main.js
+ */
+function writeSigningKey(file) {
+  if (fs.existsSync(file)) throw new Error(`${file} already exists. Delete it first to replace the key.`);
+
+  const { privateKey, publicKey } = createInviteSigningKey();
+  fs.writeFileSync(file, privateKey, { mode: 0o600 });
+  return publicKey;
+}
+
+/**
+ * Read the private signing key
+ * @param {string} file - Path to the PEM private key
+ * @returns {string} PEM private key
+ */
+function readSigningKey(file) {
+  if (!fs.existsSync(file)) throw new Error(`No signing key at ${file}. Create one with --new-signing-key.`);
+  return fs.readFileSync(file, 'utf8');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      group: { type: 'string' },
+      expires: { type: 'string', default: '7d' },
+      page: { type: 'string', default: '' },
+      password: { type: 'string' },
+      base: { type: 'string', default: DEFAULT_BASE },
+      'signing-key': { type: 'string', default: DEFAULT_SIGNING_KEY },
+      'new-signing-key': { type: 'boolean', default: false }
+    }
+  });
+
+  if (values['new-signing-key']) {
+    try {
+      const publicKey = writeSigningKey(values['signing-key']);
+      console.log(publicKey);
+      console.error(`Wrote ${values['signing-key']}. Set inviteVerificationKey in scripts/main.js to the key above.`);
+    } catch (e) {
+      fail(e.message);
+    }
+    return;
+  }
+
+  if (!values.group) {
+    fail('Usage: node tools/mint-invite.js --group <group> [--expires 7d] [--page <page.html>] [--password <password>]');
+  }
+
+  try {
+    const signingKey = readSigningKey(values['signing-key']);
+    const verifier = loadPasswordVerifier(values.group);
+    const expiresAt = Date.now() + parseDuration(values.expires);
+    const password = values.password || await promptPassword();
+    const contentKey = deriveContentKey(password, verifier);
+    const token = createInviteToken({ group: values.group, expiresAt, contentKey, signingKey });
+    const url = new URL(values.page, `${values.base}/`);
+
+    url.searchParams.set('access', token);
+    console.log(url.toString());
+    console.error(`Expires ${new Date(expiresAt).toISOString()}`);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Encrypt or decrypt the <main> content of a case-study page
+ *
+ * Usage:
+ *   node tools/protect-case-study.js encrypt soteria-case-study.html [--password <password>]
+ *   node tools/protect-case-study.js decrypt soteria-case-study.html [--password <password>]
+ *
+ * `encrypt` replaces the page's <main> content with an AES-GCM payload that
+ * PasswordProtectionController decrypts once the visitor enters the password.
+ * A plain block the size of the hero image stays outside the payload, so the
+ * page transition from a project card has something to morph into before the
+ * content is decrypted.
+ * `decrypt` restores the readable markup for editing. The password must match
+ * the verifier in scripts/main.js for the page's data-protection group.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { promptPassword, fail } = require('./lib/cli');
+const {
+  ROOT,
+  loadPasswordVerifier,
+  readPageGroup,
+  deriveContentKey,
+  encryptContent,
+  decryptContent
+} = require('./lib/protection');
+
+const MAIN_PATTERN = /(<main\b[^>]*>)([\s\S]*?)(\n[ \t]*<\/main>)/;
+const PAYLOAD_PATTERN = /<script type="application\/json" class="protected-payload">([\s\S]*?)<\/script>/;
+const HERO_PATTERN = /<img\b[^>]*\bclass="case-study-hero-img"[^>]*>/;
+
+const NOSCRIPT_NOTICE = `
+        <noscript>
+            <div class="container">
+                <p class="section-text">This case study is password protected and needs JavaScript to unlock.</p>
+            </div>
+        </noscript>`;
+
+/**
+ * Stand-in for the hero image that gives away neither its path nor its
+ * preview, only its proportions and average colour
+ * @param {string} content - Readable <main> content
+ * @returns {string} Placeholder markup, or nothing without a sized hero
+ */
+function renderHeroPlaceholder(content) {
+  const hero = content.match(HERO_PATTERN);
+  const attribute = name => {
+    const match = hero && hero[0].match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  };
+  const width = Number(attribute('width'));
+  const height = Number(attribute('height'));
+  if (!width || !height) return '';
+
+  const color = attribute('data-placeholder-color');
+  const style = `aspect-ratio: ${width} / ${height}${color && /^#[0-9a-f]{3,8}$/i.test(color) ? `; background-color: ${color}` : ''}`;
+
+  return `
+        <div class="container">
+            <div class="case-study-hero case-study-hero-placeholder" style="${style}" aria-hidden="true"></div>
+        </div>`;
+}
+
+/**
+ * Replace readable <main> content with an encrypted payload
+ * @param {string} html - Page markup
+ * @param {Buffer} contentKey - AES-256-GCM key
+ * @param {object} verifier - Password verifier
+ * @returns {string} Page markup with encrypted content
+ */
+function encryptPage(html, contentKey, verifier) {
+  const match = html.match(MAIN_PATTERN);
+  if (!match) throw new Error('No <main> element found.');
+  if (match[1].includes('data-encrypted')) throw new Error('Page is already encrypted.');
+
+  const [, openTag, content, closeTag] = match;
+  const payload = encryptContent(content, contentKey, verifier);
+  const encryptedOpenTag = openTag.replace(/>$/, ' data-encrypted>');
+  const script = `\n        <script type="application/json" class="protected-payload">${JSON.stringify(payload)}</script>`;
+
+  return html.replace(MAIN_PATTERN, () => `${encryptedOpenTag}${renderHeroPlaceholder(content)}${script}${NOSCRIPT_NOTICE}${closeTag}`);
+}
+
+/**
+ * Restore readable <main> content from an encrypted payload
+ * @param {string} html - Page markup
+ * @param {Buffer} contentKey - AES-256-GCM key
+ * @returns {string} Page markup with readable content
+ */
+function decryptPage(html, contentKey) {
+  const match = html.match(MAIN_PATTERN);
+  if (!match || !match[1].includes('data-encrypted')) throw new Error('Page is not encrypted.');
+
+  const payloadMatch = match[2].match(PAYLOAD_PATTERN);
+  if (!payloadMatch) throw new Error('Encrypted payload not found.');
+
+  const [, openTag, , closeTag] = match;
+  const content = decryptContent(JSON.parse(payloadMatch[1]), contentKey);
+
+  return html.replace(MAIN_PATTERN, () => `${openTag.replace(' data-encrypted', '')}${content}${closeTag}`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: { password: { type: 'string' } },
+    allowPositionals: true
+  });
+  const [mode, file] = positionals;
+
+  if (!['encrypt', 'decrypt'].includes(mode) || !file) {
+    fail('Usage: node tools/protect-case-study.js <encrypt|decrypt> <page.html> [--password <password>]');
+  }
+
+  const pagePath = path.resolve(ROOT, file);
+  const html = fs.readFileSync(pagePath, 'utf8');
+  const group = readPageGroup(html);
+
+  if (!group) {
+    fail(`${path.relative(ROOT, pagePath)} is public: set data-protection on its <body> first.`);
+  }
+
+  const password = values.password || await promptPassword();
+
+  try {
+    const verifier = loadPasswordVerifier(group);
+    const contentKey = deriveContentKey(password, verifier);
+    const output = mode === 'encrypt'
+      ? encryptPage(html, contentKey, verifier)
+      : decryptPage(html, contentKey);
+
+    fs.writeFileSync(pagePath, output);
+    console.log(`${mode === 'encrypt' ? 'Encrypted' : 'Decrypted'} ${path.relative(ROOT, pagePath)}`);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { encryptPage, decryptPage };